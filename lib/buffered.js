@@ -0,0 +1,195 @@
+/**
+ * @fileOverview Buffered asynchronous file transport for the Townsville logger
+ * @name buffered.js
+ * @author Matthijs Tempels <matthijs@townsville.nl>
+ * @license Copyright Townsville.nl
+ */
+"use strict";
+
+const fs = require('fs');
+const os = require('os');
+const { Transport } = require('winston');
+const LEVEL = Symbol.for('level');
+const MESSAGE = Symbol.for('message');
+
+/* @constant {number} Default number of lines that triggers a write */
+const DEFAULT_BATCH_SIZE = 100;
+/* @constant {number} Default flush interval (ms) */
+const DEFAULT_FLUSH_INTERVAL = 1000;
+/* @constant {number} Default max number of queued lines */
+const DEFAULT_MAX_QUEUE = 10000;
+/* @constant {Array} Overflow policies */
+const OVERFLOW_POLICIES = ['drop-oldest', 'drop-newest', 'block'];
+
+
+class BufferedFileTransport extends Transport {
+
+  /**
+   * Create buffered file transport
+   * Lines are queued and written in batches, by count or interval. A full
+   * batch is taken from the queue and written on the next turn of the event
+   * loop, meanwhile the queue fills up, up to maxQueue lines. Writes are
+   * synchronous, so a fatal line (or a full queue with block) is always
+   * written right away, after the batch taken before it. The file is opened
+   * for appending, so other writers are not overwritten.
+   * @param {Object} opts Transport options: filename, batchSize,
+   *   flushInterval, maxQueue and overflow (drop-oldest, drop-newest or block)
+   * @throws {Error} On an unknown overflow policy
+   */
+  constructor(opts) {
+    super(opts);
+
+    this.name = 'bufferedFile';
+
+    const overflow = (opts.overflow || OVERFLOW_POLICIES[0]).toLowerCase();
+    if (OVERFLOW_POLICIES.indexOf(overflow) < 0) {
+      throw new Error('Unknown buffer overflow policy: ' + opts.overflow);
+    }
+    this._overflow = overflow;
+    this._batchSize = opts.batchSize || DEFAULT_BATCH_SIZE;
+    this._maxQueue = Math.max(opts.maxQueue || DEFAULT_MAX_QUEUE, this._batchSize);
+
+    this._fd = fs.openSync(opts.filename, 'a');
+
+    this._queue = [];
+    // Batch taken from the queue, not written yet
+    this._batch = undefined;
+    this._onIdle = [];
+    // Number of lines lost to overflow
+    this.dropped = 0;
+
+    this._timer = setInterval(() => this._flush(), opts.flushInterval || DEFAULT_FLUSH_INTERVAL);
+    this._timer.unref();
+  }
+
+  /**
+   * Queue message, fatal messages are written immediately
+   * @param {Object} info Winston log info
+   * @param {function} callback Called when handled
+   */
+  log(info, callback) {
+    setImmediate(() => this.emit('logged', info));
+
+    if (this._queue.length >= this._maxQueue) {
+      switch (this._overflow) {
+      case 'drop-oldest':
+        this._queue.shift();
+        this.dropped++;
+        break;
+      case 'drop-newest':
+        this.dropped++;
+        callback();
+        return;
+      default:
+        this._flushSync();
+        break;
+      }
+    }
+
+    this._queue.push(info[MESSAGE] + os.EOL);
+    if (info[LEVEL] === 'fatal') {
+      this._flushSync();
+    } else if (this._queue.length >= this._batchSize) {
+      this._flush();
+    }
+    callback();
+  }
+
+  /**
+   * Write all queued lines and close the file when the stream ends
+   * @param {function} callback Called when done
+   */
+  _final(callback) {
+    clearInterval(this._timer);
+    this._flush();
+    this._onIdle.push(() => fs.close(this._fd, () => callback()));
+    this._checkIdle();
+  }
+
+
+  // ---- Private ----
+
+
+  /**
+   * Take the queued lines as batch, written on the next turn of the event loop
+   */
+  _flush() {
+    if (this._batch || !this._queue.length) {
+      return;
+    }
+    this._batch = this._take();
+    setImmediate(() => this._writeBatch());
+  }
+
+  /**
+   * Write the batch, if not written synchronously already
+   */
+  _writeBatch() {
+    if (this._batch) {
+      const data = this._batch;
+      this._batch = undefined;
+      this._writeData(data);
+    }
+    if (this._queue.length >= this._batchSize) {
+      this._flush();
+    }
+    this._checkIdle();
+  }
+
+  /**
+   * Write the batch and the queued lines synchronously
+   */
+  _flushSync() {
+    if (this._batch) {
+      const data = this._batch;
+      this._batch = undefined;
+      this._writeData(data);
+    }
+    if (this._queue.length) {
+      this._writeData(this._take());
+    }
+  }
+
+  /**
+   * Append data, continues on a partial write
+   * @param {Buffer} data Data
+   */
+  _writeData(data) {
+    let offset = 0;
+    try {
+      while (offset < data.length) {
+        offset += fs.writeSync(this._fd, data, offset, data.length - offset);
+      }
+    } catch (err) {
+      this.emit('error', err);
+    }
+  }
+
+  /**
+   * Take all queued lines
+   * @returns {Buffer} Data to write
+   */
+  _take() {
+    const data = Buffer.from(this._queue.join(''));
+    this._queue = [];
+    return data;
+  }
+
+  /**
+   * Call the waiting callbacks when all writes are done
+   */
+  _checkIdle() {
+    if (this._batch || !this._onIdle.length) {
+      return;
+    }
+    // Lines logged since the last batch
+    if (this._queue.length) {
+      this._flush();
+      return;
+    }
+    this._onIdle.splice(0).forEach((callback) => callback());
+  }
+}
+
+// Exports
+module.exports.BufferedFileTransport = BufferedFileTransport;
@@ -0,0 +1,163 @@
+/**
+ * @fileOverview Capture of log lines for unit tests
+ * @name capture.js
+ * @author Matthijs Tempels <matthijs@townsville.nl>
+ * @license Copyright Townsville.nl
+ */
+"use strict";
+
+const { AssertionError } = require('assert');
+const { compilePattern, matchModule } = require('./match');
+const { Transport } = require('winston');
+const util = require('util');
+const LEVEL = Symbol.for('level');
+const SPLAT = Symbol.for('splat');
+
+
+class CaptureTransport extends Transport {
+
+  /**
+   * Create capture transport
+   * @param {Object} opts Transport options: render (called with the log info,
+   *   returns the message text) and restore (called by restore())
+   */
+  constructor(opts) {
+    super(opts);
+
+    this.name = 'capture';
+    this._render = opts.render;
+    this._restore = opts.restore;
+    // Captured records, oldest first
+    this.records = [];
+  }
+
+  /**
+   * Keep the line as record
+   * @param {Object} info Winston log info
+   * @param {function} callback Called when handled
+   */
+  log(info, callback) {
+    setImmediate(() => this.emit('logged', info));
+
+    this.records.push({
+      time: new Date(),
+      level: info[LEVEL] || info.level,
+      module: info.module,
+      message: this._render(info),
+      args: info[SPLAT] || [],
+      fields: info.fields || {}
+    });
+    callback();
+  }
+
+  /**
+   * Find records
+   * @param {Object} query Optional: level, module (name or pattern), match
+   *   (RegExp or text the message contains) and fields (values to equal)
+   * @returns {Array} Matching records
+   */
+  find(query) {
+    return this.records.filter(getMatcher(query || {}));
+  }
+
+  /**
+   * Assert that a matching record was captured
+   * @param {Object} query See find()
+   * @throws {AssertionError} If none matched
+   * @returns {Object} First matching record
+   */
+  expectLogged(query) {
+    const found = this.find(query);
+    if (!found.length) {
+      throw new AssertionError({
+        message: util.format('Expected a log line matching %s, got:\n%s',
+          describeQuery(query), this._listRecords()),
+        operator: 'expectLogged'
+      });
+    }
+    return found[0];
+  }
+
+  /**
+   * Assert that no matching record was captured
+   * @param {Object} query See find()
+   * @throws {AssertionError} If any matched
+   */
+  expectNotLogged(query) {
+    const found = this.find(query);
+    if (found.length) {
+      throw new AssertionError({
+        message: util.format('Expected no log line matching %s, got:\n%s',
+          describeQuery(query), this._listRecords(found)),
+        operator: 'expectNotLogged'
+      });
+    }
+  }
+
+  /**
+   * Forget the captured records
+   */
+  clear() {
+    this.records = [];
+  }
+
+  /**
+   * Stop capturing, the logger is left as it was before capture()
+   */
+  restore() {
+    if (this._restore) {
+      const restore = this._restore;
+      this._restore = undefined;
+      restore();
+    }
+  }
+
+
+  // ---- Private ----
+
+
+  /**
+   * List records for an assertion message
+   * @param {Array} records Records (default all)
+   * @returns {string} One line per record
+   */
+  _listRecords(records) {
+    records = records || this.records;
+    if (!records.length) {
+      return '  (nothing)';
+    }
+    return records.map((record) =>
+      util.format('  %s: [%s] %s', record.level, record.module, record.message)).join('\n');
+  }
+}
+
+
+/**
+ * Get a record matcher for a query
+ * @param {Object} query See find()
+ * @returns {function} Returns true for a matching record
+ */
+function getMatcher(query) {
+
+  const patterns = (query.module ? [compilePattern(query.module)] : undefined);
+  const fields = query.fields || {};
+  return (record) =>
+    (!query.level || record.level === query.level) &&
+    (!patterns || matchModule(record.module, patterns) !== undefined) &&
+    (!query.match || (query.match instanceof RegExp ?
+      query.match.test(record.message) :
+      record.message.includes(query.match))) &&
+    Object.keys(fields).every((key) => util.isDeepStrictEqual(record.fields[key], fields[key]));
+}
+
+/**
+ * Describe a query for an assertion message
+ * @param {Object} query See find()
+ * @returns {string} Description
+ */
+function describeQuery(query) {
+  return util.inspect(query || {}, { breakLength: Infinity });
+}
+
+// Exports
+module.exports.CaptureTransport = CaptureTransport;
@@ -0,0 +1,105 @@
+/**
+ * @fileOverview Environment variable overrides of the Townsville logger settings
+ * @name env.js
+ * @author Matthijs Tempels <matthijs@townsville.nl>
+ * @license Copyright Townsville.nl
+ */
+"use strict";
+
+/* @constant {string} Variable overriding the default log level */
+const ENV_LEVEL = 'TOWNSVILLE_LOG_LEVEL';
+/* @constant {string} Variable overriding module levels: name=level, comma separated */
+const ENV_LEVELS = 'TOWNSVILLE_LOG_LEVELS';
+/* @constant {string} Variable overriding the format of all transports: text or json */
+const ENV_FORMAT = 'TOWNSVILLE_LOG_FORMAT';
+/* @constant {string} Variable overriding the log file path */
+const ENV_FILE = 'TOWNSVILLE_LOG_FILE';
+/* @constant {Array} Settings keys of the transports with a format */
+const FORMAT_KEYS = ['console', 'file', 'syslog', 'memory'];
+
+
+/**
+ * Apply the environment overrides to settings
+ * Empty variables are ignored, as are invalid module level entries (these
+ * are added to problems, to be reported with the settings validation).
+ * @param {Object} settings Object holding the log settings (not changed)
+ * @param {Object} env Environment (default process.env)
+ * @param {Array} problems Optional, gets the problems of the variables
+ * @returns {Object} Settings with the overrides
+ */
+function applyEnv(settings, env, problems) {
+
+  env = env || process.env;
+  problems = problems || [];
+  const result = Object.assign({}, settings);
+
+  if (env[ENV_LEVEL]) {
+    result.level = env[ENV_LEVEL];
+  }
+  if (env[ENV_LEVELS]) {
+    result.levels = Object.assign({}, result.levels, parseLevels(env[ENV_LEVELS], problems));
+  }
+  if (env[ENV_FILE]) {
+    result.file = withPath(result.file, env[ENV_FILE]);
+  }
+  if (env[ENV_FORMAT]) {
+    FORMAT_KEYS.filter((key) => result[key]).forEach((key) => {
+      result[key] = withFormat(result[key], env[ENV_FORMAT]);
+    });
+  }
+  return result;
+}
+
+
+/**
+ * Parse module levels
+ * @param {string} value Entries like db=trace,http=warn
+ * @param {Array} problems Gets the entries that are not name=level
+ * @returns {Object} Level per module name
+ */
+function parseLevels(value, problems) {
+  const result = {};
+  value.split(',').map((entry) => entry.trim()).filter((entry) => entry).forEach((entry) => {
+    const index = entry.indexOf('=');
+    const name = entry.slice(0, index).trim();
+    const level = entry.slice(index + 1).trim();
+    if (index < 0 || !name || !level) {
+      problems.push(ENV_LEVELS + ': expected name=level, got ' + JSON.stringify(entry));
+      return;
+    }
+    result[name] = level;
+  });
+  return result;
+}
+
+/**
+ * Set the path of the (first) file
+ * @param {Object|Array|boolean} settings File settings, if any
+ * @param {string} path File path
+ * @returns {Object|Array} File settings with the path
+ */
+function withPath(settings, path) {
+  if (Array.isArray(settings) && settings.length) {
+    return [withPath(settings[0], path)].concat(settings.slice(1));
+  }
+  return Object.assign({}, (typeof (settings) === 'object' ? settings : undefined), { path: path });
+}
+
+/**
+ * Set the format of transport settings
+ * @param {Object|Array|boolean} settings Transport settings
+ * @param {string} value Format
+ * @returns {Object|Array} Transport settings with the format
+ */
+function withFormat(settings, value) {
+  if (!settings) {
+    return settings;
+  }
+  if (Array.isArray(settings)) {
+    return settings.map((entry) => withFormat(entry, value));
+  }
+  return Object.assign({}, (typeof (settings) === 'object' ? settings : undefined), { format: value });
+}
+
+// Exports
+module.exports.applyEnv = applyEnv;
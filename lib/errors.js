@@ -0,0 +1,152 @@
+/**
+ * @fileOverview Error rendering for the Townsville logger
+ * @name errors.js
+ * @author Matthijs Tempels <matthijs@townsville.nl>
+ * @license Copyright Townsville.nl
+ */
+"use strict";
+
+const util = require('util');
+
+/* @constant {string} Indent of stack lines in text output */
+const INDENT = '    ';
+/* @constant {number} Max depth of cause / aggregate nesting */
+const MAX_DEPTH = 10;
+
+
+/**
+ * Check if a value is an Error
+ * @param {*} value Value to check
+ * @returns {boolean} True if Error
+ */
+function isError(value) {
+  return (value instanceof Error || util.types.isNativeError(value));
+}
+
+/**
+ * Get the one line title of an Error
+ * @param {Error} err Error
+ * @returns {string} Name, message and code
+ */
+function errorTitle(err) {
+  let result = util.format('%s: %s', err.name || 'Error', err.message);
+  if (err.code !== undefined) {
+    result += util.format(' [%s]', err.code);
+  }
+  return result;
+}
+
+/**
+ * Convert an Error to a plain object, including causes and aggregated errors
+ * @param {Error} err Error
+ * @param {boolean} withStack True to include the stack
+ * @returns {Object} Plain object (name, message, code, stack, cause, errors)
+ */
+function serializeError(err, withStack) {
+  return serialize(err, withStack, new Set(), 0);
+}
+
+/**
+ * Render the stack of an Error and its causes as indented text lines
+ * The title of the Error itself is not included (it is part of the message).
+ * @param {Error} err Error
+ * @param {boolean} withStack True to include stack frames
+ * @returns {string} Lines, each starting with a newline (empty if none)
+ */
+function renderErrorStack(err, withStack) {
+  const lines = [];
+  addLines(lines, err, '', withStack, new Set(), 0);
+  // Title of the top error is already in the message
+  lines.shift();
+  return lines.map((line) => '\n' + line).join('');
+}
+
+
+// ---- Private ----
+
+
+/**
+ * Serialize an Error (recursive)
+ * @param {Error} err Error
+ * @param {boolean} withStack True to include the stack
+ * @param {Set} seen Errors already serialized (cycle guard)
+ * @param {number} depth Nesting depth
+ * @returns {Object} Plain object
+ */
+function serialize(err, withStack, seen, depth) {
+  seen.add(err);
+
+  const result = {
+    name: err.name || 'Error',
+    message: err.message
+  };
+  if (err.code !== undefined) {
+    result.code = err.code;
+  }
+  if (withStack && err.stack) {
+    result.stack = err.stack;
+  }
+
+  const nested = (value) => {
+    if (!isError(value)) {
+      return value;
+    }
+    if (seen.has(value) || depth >= MAX_DEPTH) {
+      return '[Circular]';
+    }
+    return serialize(value, withStack, seen, depth + 1);
+  };
+
+  if (err.cause !== undefined) {
+    result.cause = nested(err.cause);
+  }
+  if (Array.isArray(err.errors)) {
+    result.errors = err.errors.map(nested);
+  }
+  return result;
+}
+
+/**
+ * Add the text lines of an Error (recursive)
+ * @param {Array} lines Lines to add to
+ * @param {Error} err Error
+ * @param {string} title Title prefix (like 'Caused by: ')
+ * @param {boolean} withStack True to include stack frames
+ * @param {Set} seen Errors already rendered (cycle guard)
+ * @param {number} depth Nesting depth
+ */
+function addLines(lines, err, title, withStack, seen, depth) {
+  const indent = INDENT.repeat(depth + 1);
+
+  if (!isError(err)) {
+    lines.push(indent + title + util.format('%s', err));
+    return;
+  }
+  if (seen.has(err) || depth >= MAX_DEPTH) {
+    lines.push(indent + title + '[Circular]');
+    return;
+  }
+  seen.add(err);
+
+  lines.push(indent + title + errorTitle(err));
+  if (withStack && err.stack) {
+    String(err.stack).split('\n')
+      .filter((line) => /^\s+at /.test(line))
+      .forEach((line) => lines.push(indent + INDENT + line.trim()));
+  }
+
+  if (Array.isArray(err.errors)) {
+    err.errors.forEach((member, index) => {
+      addLines(lines, member, util.format('[%d] ', index), withStack, seen, depth + 1);
+    });
+  }
+  if (err.cause !== undefined) {
+    addLines(lines, err.cause, 'Caused by: ', withStack, seen, depth);
+  }
+}
+
+// Exports
+module.exports.isError = isError;
+module.exports.errorTitle = errorTitle;
+module.exports.serializeError = serializeError;
+module.exports.renderErrorStack = renderErrorStack;
@@ -0,0 +1,364 @@
+/**
+ * @fileOverview HTTP(S) batch transport for the Townsville logger
+ * @name http.js
+ * @author Matthijs Tempels <matthijs@townsville.nl>
+ * @license Copyright Townsville.nl
+ */
+"use strict";
+
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const { Transport } = require('winston');
+const zlib = require('zlib');
+const MESSAGE = Symbol.for('message');
+
+/* @constant {number} Default number of lines per batch */
+const DEFAULT_BATCH_SIZE = 100;
+/* @constant {number} Default flush interval (ms) */
+const DEFAULT_FLUSH_INTERVAL = 1000;
+/* @constant {number} Default request timeout (ms) */
+const DEFAULT_TIMEOUT = 10000;
+/* @constant {number} Default initial retry delay (ms) */
+const DEFAULT_RETRY_MIN = 500;
+/* @constant {number} Default maximum retry delay (ms) */
+const DEFAULT_RETRY_MAX = 30000;
+/* @constant {string} Default spool file */
+const DEFAULT_SPOOL_PATH = 'logging-http.spool';
+/* @constant {number} Default max spool file size (bytes) */
+const DEFAULT_SPOOL_MAX = 10000000;
+/* @constant {number} Chunk size to read the spool file with */
+const READ_CHUNK = 65536;
+
+
+class HttpTransport extends Transport {
+
+  /**
+   * Create http transport
+   * Lines (JSON) are posted as a JSON array per batch. While the collector
+   * is unreachable batches go to a spool file, one per line, which is sent
+   * first once it is back (also after a restart).
+   * @param {Object} opts Transport options: url, headers, batchSize,
+   *   flushInterval, gzip, timeoutMs, retry (minDelay, maxDelay) and spool
+   *   (path, maxBytes)
+   * @throws {Error} On a missing or invalid url
+   */
+  constructor(opts) {
+    super(opts);
+
+    this.name = 'http';
+
+    if (!opts.url) {
+      throw new Error('Missing http url');
+    }
+    this._url = new URL(opts.url);
+    if (this._url.protocol !== 'http:' && this._url.protocol !== 'https:') {
+      throw new Error('Unknown http protocol: ' + this._url.protocol);
+    }
+    this._client = (this._url.protocol === 'https:' ? https : http);
+    this._headers = Object.assign({}, opts.headers);
+    this._batchSize = opts.batchSize || DEFAULT_BATCH_SIZE;
+    this._gzip = (opts.gzip ? true : false);
+    this._timeout = opts.timeoutMs || DEFAULT_TIMEOUT;
+
+    const retry = opts.retry || {};
+    this._retryMin = retry.minDelay || DEFAULT_RETRY_MIN;
+    this._retryMax = retry.maxDelay || DEFAULT_RETRY_MAX;
+    this._retryDelay = this._retryMin;
+    this._retryTmr = undefined;
+
+    const spool = opts.spool || {};
+    this._spoolPath = path.resolve(spool.path || DEFAULT_SPOOL_PATH);
+    this._spoolMax = spool.maxBytes || DEFAULT_SPOOL_MAX;
+    // Bytes of the spool file already sent
+    this._spoolOffset = 0;
+
+    // Lines not yet in a batch, batches not yet sent
+    this._queue = [];
+    this._batches = [];
+    this._busy = false;
+    // Set while the collector is unreachable
+    this._failing = false;
+    this._ending = false;
+    this._onIdle = [];
+    // Number of batches lost (rejected by the collector or spool full)
+    this.dropped = 0;
+
+    // Batches left by a previous run are sent first
+    this._spooling = (getSize(this._spoolPath) > 0);
+    if (this._spooling) {
+      setImmediate(() => this._send());
+    }
+
+    this._timer = setInterval(() => this._flush(), opts.flushInterval || DEFAULT_FLUSH_INTERVAL);
+    this._timer.unref();
+  }
+
+  /**
+   * Queue message, a full batch is sent
+   * @param {Object} info Winston log info
+   * @param {function} callback Called when handled
+   */
+  log(info, callback) {
+    setImmediate(() => this.emit('logged', info));
+
+    this._queue.push(info[MESSAGE]);
+    if (this._queue.length >= this._batchSize) {
+      this._flush();
+    }
+    callback();
+  }
+
+  /**
+   * Send the last batches when the stream ends
+   * Batches that can not be sent (now) stay in the spool file.
+   * @param {function} callback Called when done
+   */
+  _final(callback) {
+    this._ending = true;
+    clearInterval(this._timer);
+    clearTimeout(this._retryTmr);
+    this._retryTmr = undefined;
+
+    this._flush();
+    this._onIdle.push(callback);
+    this._checkIdle();
+  }
+
+
+  // ---- Private ----
+
+
+  /**
+   * Turn the queued lines into batches and send them
+   */
+  _flush() {
+    while (this._queue.length) {
+      const body = '[' + this._queue.splice(0, this._batchSize).join(',') + ']';
+      if (this._spooling) {
+        this._appendSpool([body]);
+      } else {
+        this._batches.push(body);
+      }
+    }
+    this._send();
+  }
+
+  /**
+   * Send the next batch, one request at a time
+   */
+  _send() {
+    if (this._busy || this._retryTmr) {
+      return;
+    }
+    if (this._failing && this._ending) {
+      this._checkIdle();
+      return;
+    }
+
+    const body = (this._spooling ? this._readSpool() : this._batches[0]);
+    if (body === undefined) {
+      if (this._spooling) {
+        // Spool fully sent
+        this._spooling = false;
+        this._spoolOffset = 0;
+        try {
+          fs.truncateSync(this._spoolPath, 0);
+        } catch (err) {
+          // Gone already
+        }
+        this._send();
+        return;
+      }
+      this._checkIdle();
+      return;
+    }
+
+    this._busy = true;
+    this._post(body, (err, retry) => {
+      this._busy = false;
+
+      if (err && retry) {
+        // Unreachable: keep everything in the spool and retry later
+        this._failing = true;
+        if (!this._spooling) {
+          this._spooling = true;
+          this._appendSpool(this._batches.splice(0));
+        }
+        this._scheduleRetry();
+        this._checkIdle();
+        return;
+      }
+
+      // Sent, or rejected for good
+      this._failing = false;
+      if (err) {
+        this.dropped++;
+      }
+      if (this._spooling) {
+        this._spoolOffset += Buffer.byteLength(body) + 1;
+      } else {
+        this._batches.shift();
+      }
+      this._retryDelay = this._retryMin;
+      this._send();
+    });
+  }
+
+  /**
+   * Post a batch to the collector
+   * @param {string} body JSON array of lines
+   * @param {function} callback Called with (error, retry), retry is true if
+   *   the batch may be accepted later
+   */
+  _post(body, callback) {
+
+    const headers = Object.assign({ 'content-type': 'application/json' }, this._headers);
+    const request = (data) => {
+      let done = false;
+      const finish = (err, retry) => {
+        if (!done) {
+          done = true;
+          callback(err, retry);
+        }
+      };
+
+      headers['content-length'] = data.length;
+      const req = this._client.request(this._url, {
+        method: 'POST',
+        headers: headers,
+        timeout: this._timeout
+      }, (res) => {
+        res.resume();
+        res.on('end', () => {
+          const status = res.statusCode;
+          if (status >= 200 && status < 300) {
+            finish();
+          } else {
+            finish(new Error('HTTP status ' + status), (status >= 500 || status === 408 || status === 429));
+          }
+        });
+      });
+      req.on('timeout', () => req.destroy(new Error('HTTP request timeout')));
+      req.on('error', (err) => finish(err, true));
+      req.end(data);
+    };
+
+    if (!this._gzip) {
+      request(Buffer.from(body));
+      return;
+    }
+    headers['content-encoding'] = 'gzip';
+    zlib.gzip(body, (err, data) => {
+      if (err) {
+        callback(err, false);
+        return;
+      }
+      request(data);
+    });
+  }
+
+  /**
+   * Schedule sending again with exponential backoff
+   */
+  _scheduleRetry() {
+    if (this._ending) {
+      return;
+    }
+    this._retryTmr = setTimeout(() => {
+      this._retryTmr = undefined;
+      this._send();
+    }, this._retryDelay);
+    this._retryTmr.unref();
+    this._retryDelay = Math.min(this._retryDelay * 2, this._retryMax);
+  }
+
+  /**
+   * Add batches to the spool file, batches that do not fit are dropped
+   * @param {Array} bodies Batches
+   */
+  _appendSpool(bodies) {
+    let size = getSize(this._spoolPath);
+    const data = [];
+    bodies.forEach((body) => {
+      const length = Buffer.byteLength(body) + 1;
+      if (size + length > this._spoolMax) {
+        this.dropped++;
+        return;
+      }
+      size += length;
+      data.push(body + '\n');
+    });
+    if (!data.length) {
+      return;
+    }
+    try {
+      fs.appendFileSync(this._spoolPath, data.join(''));
+    } catch (err) {
+      this.dropped += data.length;
+    }
+  }
+
+  /**
+   * Read the next batch from the spool file
+   * @returns {string} Batch, undefined if none left
+   */
+  _readSpool() {
+    let fd;
+    try {
+      fd = fs.openSync(this._spoolPath, 'r');
+      const chunks = [];
+      const chunk = Buffer.alloc(READ_CHUNK);
+      let position = this._spoolOffset;
+      for (;;) {
+        const read = fs.readSync(fd, chunk, 0, READ_CHUNK, position);
+        if (!read) {
+          // No (complete) line left
+          return undefined;
+        }
+        const end = chunk.subarray(0, read).indexOf('\n');
+        if (end >= 0) {
+          chunks.push(Buffer.from(chunk.subarray(0, end)));
+          return Buffer.concat(chunks).toString();
+        }
+        chunks.push(Buffer.from(chunk.subarray(0, read)));
+        position += read;
+      }
+    } catch (err) {
+      return undefined;
+    } finally {
+      if (fd !== undefined) {
+        fs.closeSync(fd);
+      }
+    }
+  }
+
+  /**
+   * Call the waiting callbacks when nothing is being sent anymore
+   */
+  _checkIdle() {
+    if (this._busy || this._batches.length || (this._spooling && !this._failing) ||
+      !this._onIdle.length) {
+      return;
+    }
+    this._onIdle.splice(0).forEach((callback) => callback());
+  }
+}
+
+
+/**
+ * Get the size of a file
+ * @param {string} file File path
+ * @returns {number} Size in bytes, 0 if it does not exist
+ */
+function getSize(file) {
+  try {
+    return fs.statSync(file).size;
+  } catch (err) {
+    return 0;
+  }
+}
+
+// Exports
+module.exports.HttpTransport = HttpTransport;
@@ -6,16 +6,53 @@
  */
 "use strict";
 
+const { AsyncLocalStorage } = require('async_hooks');
+const { BufferedFileTransport } = require('./buffered');
+const { CaptureTransport } = require('./capture');
+const { errorTitle, isError, renderErrorStack, serializeError } = require('./errors');
+const { applyEnv } = require('./env');
 const { format } = require('winston');
+const fs = require('fs');
+const { HttpTransport } = require('./http');
+const { compilePattern, matchModule } = require('./match');
+const { MemoryTransport } = require('./memory');
 const moment = require('moment');
+const { RateLimiter } = require('./ratelimit');
+const { Redactor } = require('./redact');
+const { RotatingFileTransport } = require('./rotate');
+const { Sampler } = require('./sampling');
+const serializer = require('./serialize');
+const { getSeverity, SEVERITIES, SyslogTransport } = require('./syslog');
 const util = require('util');
+const { SETTINGS_KEYS, validateSettings } = require('./validate');
 const winston = require('winston');
+const LEVEL = Symbol.for('level');
 const SPLAT = Symbol.for('splat');
+const MODULE_LEVEL = Symbol('moduleLevel');
+const LOG_TIME = Symbol('logTime');
 
 /* @constant {string} Default log level */
 const DEFAULT_LOGLEVEL = 'info';
 /* @constant {string} Default log file */
 const DEFAULT_LOGFILE = 'logging.log';
+/* @constant {number} Default config file poll interval (ms) */
+const DEFAULT_WATCH_INTERVAL = 1000;
+/* @constant {number} Default time transports get to flush on shutdown (ms) */
+const DEFAULT_SHUTDOWN_TIMEOUT = 5000;
+/* @constant {Array} Default signals to shut down on */
+const DEFAULT_SHUTDOWN_SIGNALS = ['SIGTERM', 'SIGINT'];
+/* @constant {string} Default name of the logger of process errors */
+const DEFAULT_PROCESS_LOGGER = 'process';
+/* @constant {string} Default level of timer lines */
+const DEFAULT_TIMER_LEVEL = 'info';
+/* @constant {string} Default settings validation mode */
+const DEFAULT_VALIDATION = 'lenient';
+/* @constant {string} Default color of a custom level */
+const DEFAULT_LEVEL_COLOR = 'white';
+/* @constant {RegExp} Valid custom level name */
+const LEVEL_NAME = /^[a-z][a-z0-9]*$/;
+/* @constant {number} Default exit code after an uncaught error */
+const DEFAULT_EXIT_CODE = 1;
 /* @constant {string} Default logger name */
 const DEFAULT_LOGGER_NAME = 'logger';
 /* @constant {number} Numeric log levels */
@@ -38,8 +75,17 @@ const DEFAULT_SETTINGS = {
   showPid: false,
   console: {
     timestamp: getUTCTimestamp
-  },
-  colorize: 'true'
+  }
+};
+
+/* @constant {Object} Defaults of the general settings */
+const GENERAL_DEFAULTS = {
+  name: DEFAULT_LOGGER_NAME,
+  level: DEFAULT_LOGLEVEL,
+  showName: false,
+  showPid: false,
+  stackLevel: 'trace',
+  validate: DEFAULT_VALIDATION
 };
 
 /* @constant {Object} Custom level and color defs */
@@ -62,6 +108,12 @@ const CUSTOM_DEFS = {
   }
 };
 
+// Active levels: built-in plus custom ones (see getLevelDefs)
+let levelDefs = getLevelDefs();
+// Settings in use, with the environment overrides (see getEffectiveSettings)
+let effectiveSettings;
+// Names of the generated custom level methods (see defineLevelMethods)
+let levelMethods = [];
 // Default log level
 let logLevel = numLevel(DEFAULT_LOGLEVEL);
 // Keeps track of deviating levels by module name
@@ -72,10 +124,32 @@ let appName;
 let showName;
 // Flag to show PID in log
 let showPid;
+// Error stacks are shown for this level and above
+let stackLevel = NR_TRACE;
+// Redactor of sensitive data (optional)
+let redactor;
+// Serialize limits
+let serializeOptions = serializer.getOptions();
+// Rate limiter (optional)
+let rateLimiter;
+// Sampler of high volume levels (optional)
+let sampler;
 // Single instance winston logger
 let log;
 // Number of transports
 let nrTransports = 0;
+// Fields of the current async context (see runWithContext)
+const contextStore = new AsyncLocalStorage();
+// Watched config file (see watchConfig)
+let configWatcher;
+// Incremented on every level change, instances then re-resolve their level
+let levelVersion = 0;
+// Running (or done) shutdown, log calls are ignored from then on
+let shutdownPromise;
+// Installed process event handlers (see shutdown settings)
+let processHooks = [];
+// Factories of custom transports by settings key (see registerTransport)
+const transportFactories = new Map();
 
 /**
  * This method initializes the log settings
@@ -93,12 +167,114 @@ function init(settings) {
  */
 function deinit() {
 
+  unwatchConfig();
+  removeProcessHooks();
+  flushRateLimiter();
   log = undefined;
   showName = undefined;
   showPid = undefined;
   appName = undefined;
   logLevels = {};
   logLevel = numLevel(DEFAULT_LOGLEVEL);
+  stackLevel = NR_TRACE;
+  redactor = undefined;
+  serializeOptions = serializer.getOptions();
+  rateLimiter = undefined;
+  sampler = undefined;
+  effectiveSettings = undefined;
+  levelDefs = getLevelDefs();
+  defineLevelMethods();
+  levelVersion++;
+}
+
+
+/**
+ * Replace the active settings at runtime
+ * Transports, levels and name / pid display are swapped in one go. Existing
+ * log instances continue with the new settings. Lines already passed to the
+ * old transports are flushed before these are closed.
+ * @param {Object} settings Settings to use
+ * @throws {Error} If the settings are invalid (the old ones stay active)
+ */
+function reconfigure(settings) {
+
+  // Not initialized yet
+  if (!log) {
+    init(settings);
+    return;
+  }
+
+  settings = settings || DEFAULT_SETTINGS;
+  // Create everything first, so a failure leaves the active settings intact
+  const { config, transports } = buildConfig(settings);
+
+  // Old transports no longer count for end()
+  const oldLog = log;
+  oldLog.transports.forEach((transport) => {
+    transport.removeListener('finish', handleFinish);
+  });
+
+  // Pending rate limit summaries go to the old transports
+  flushRateLimiter();
+
+  // Swap
+  applyConfig(config);
+  createLog(transports);
+
+  // Flush and close the old transports
+  oldLog.end();
+}
+
+
+/**
+ * Watch a config file and reconfigure when it changes
+ * The file holds the log settings, either directly or in a 'logSettings'
+ * block (like config.json). The settings are also applied immediately.
+ * Only one file can be watched, a new call replaces the previous watch.
+ * @param {string} path Config file path
+ * @param {Object} options Optional: interval (poll interval in ms) and
+ *   onReload (called with an error or nothing after each reload)
+ * @throws {Error} If the file can not be read or parsed initially
+ */
+function watchConfig(path, options) {
+
+  options = options || {};
+  const onReload = options.onReload || ((err) => {
+    if (err) {
+      console.error('Log config reload failed: %s', err.message);
+    }
+  });
+
+  unwatchConfig();
+  reconfigure(readConfig(path));
+
+  const listener = (curr, prev) => {
+    if (curr.mtimeMs === prev.mtimeMs) {
+      return;
+    }
+    try {
+      reconfigure(readConfig(path));
+    } catch (err) {
+      onReload(err);
+      return;
+    }
+    onReload();
+  };
+
+  fs.watchFile(path, { interval: options.interval || DEFAULT_WATCH_INTERVAL }, listener).unref();
+  configWatcher = { path: path, listener: listener };
+}
+
+
+/**
+ * Stop watching the config file
+ */
+function unwatchConfig() {
+
+  if (configWatcher) {
+    fs.unwatchFile(configWatcher.path, configWatcher.listener);
+    configWatcher = undefined;
+  }
 }
 
 
@@ -111,36 +287,220 @@ function createLogger(name) {
   return new TownsvilleLogger(name);
 }
 
+/**
+ * Register a custom transport
+ * Settings under the given key (an object, or an array of them) create the
+ * transport. It gets a level, a (text or json) format and module filters like
+ * the built-in transports, and is flushed on end() / shutdown() through its
+ * 'finish' event.
+ * @param {string} name Settings key
+ * @param {function} factory Called with (settings, opts) per settings entry,
+ *   opts holds the level, format and appName. Returns a winston transport,
+ *   which is to pass opts to the winston Transport constructor.
+ * @throws {Error} If the name is taken by a built-in setting, or the factory
+ *   is not a function
+ */
+function registerTransport(name, factory) {
+
+  if (SETTINGS_KEYS.indexOf(name) >= 0) {
+    throw new Error('Reserved transport name: ' + name);
+  }
+  if (typeof (factory) !== 'function') {
+    throw new Error('Transport factory is not a function: ' + name);
+  }
+  transportFactories.set(name, factory);
+}
+
+/**
+ * Capture log lines, for unit tests
+ * Lines are kept as records, besides going to the configured transports.
+ * Without init() the log is initialized without transports, restore() then
+ * undoes that again.
+ * @param {Object} options Optional: level (lowest level to capture, default
+ *   trace) and modules (like the transport modules setting)
+ * @returns {CaptureTransport} Capture with records, find(), expectLogged(),
+ *   expectNotLogged(), clear() and restore()
+ */
+function capture(options) {
+
+  options = options || {};
+  const owned = !log;
+  if (owned) {
+    init({});
+  }
+
+  const settings = { level: options.level || 'trace', modules: options.modules };
+  const transport = addFilter(new CaptureTransport({
+    level: strLevel(numLevel(settings.level)),
+    format: format((info) => info)(),
+    render: (info) => (redactor ? redactor.redactText(renderMessage(info)) : renderMessage(info)),
+    restore: () => {
+      if (owned) {
+        deinit();
+      } else {
+        removeTransport(transport);
+      }
+    }
+  }), settings);
+  addTransport(transport);
+  return transport;
+}
+
+/**
+ * Get the settings in use
+ * These are the settings of init() / reconfigure() (or the defaults) with
+ * the environment overrides applied, and the defaults of the general
+ * settings that were left out.
+ * @returns {Object} Copy of the settings, undefined if not initialized
+ */
+function getEffectiveSettings() {
+
+  if (!log) {
+    return undefined;
+  }
+  const result = copySettings(effectiveSettings);
+  Object.keys(GENERAL_DEFAULTS).filter((key) => result[key] === undefined).forEach((key) => {
+    result[key] = GENERAL_DEFAULTS[key];
+  });
+  return result;
+}
+
+/**
+ * Get recent lines kept by the memory transport
+ * @param {Object} query Optional: level (this level and above), module
+ *   (name or pattern), since (Date or ms timestamp) and limit (most recent)
+ * @returns {Array} Entries, oldest first: { time, level, module, line }.
+ *   Empty without memory transport.
+ */
+function getRecent(query) {
+
+  const memory = (log ? log.transports.find((transport) => transport instanceof MemoryTransport) : undefined);
+  return (memory ? memory.query(query) : []);
+}
+
+/**
+ * Change the default log level at runtime
+ * Applies to all existing and new log instances.
+ * @param {string} level New default level
+ */
+function setLevel(level) {
+
+  logLevel = numLevel(level);
+  levelsChanged();
+}
+
+
+/**
+ * Change the log level of a module at runtime
+ * Applies to all existing and new log instances of the module.
+ * @param {string} name Module name
+ * @param {string} level New level, omit to fall back to the default level
+ */
+function setModuleLevel(name, level) {
+
+  if (level === undefined || level === null) {
+    delete logLevels[name];
+  } else {
+    logLevels[name] = numLevel(level);
+  }
+  levelsChanged();
+}
+
+
+/**
+ * Run a function with fields that are added to every line logged within it
+ * The fields follow async calls (awaits, timers, callbacks) made by the
+ * function. Nested contexts merge, inner fields win.
+ * @param {Object} fields Context fields
+ * @param {function} fn Function to run
+ * @returns {*} Result of the function
+ */
+function runWithContext(fields, fn) {
+
+  const parent = contextStore.getStore();
+  return contextStore.run(Object.assign({}, parent, fields), fn);
+}
+
+
 /**
  * End logger
+ * Same as shutdown() with the default timeout, the callback is also called
+ * when not all transports could be flushed.
  * @param {function} callback Optional callback to wait for flushing
  */
 function end(callback) {
-  if (log) {
-    log.end();
-  }
-  // Wait until done (if a callback is defined)
-  if (typeof (callback) === 'function') {
-    const tmr = setInterval(() => {
-      if (nrTransports <= 0) {
-        callback();
-        clearTimeout(tmr);
-      }
-    }, 50);
+  const done = () => {
+    // Outside the promise chain, so errors thrown by the callback surface
+    if (typeof (callback) === 'function') {
+      setImmediate(callback);
+    }
+  };
+  shutdown().then(done, done);
+}
+
+
+/**
+ * Flush and close all transports
+ * Log calls made after this are ignored (isX() returns false). Calling it
+ * again returns the same promise.
+ * @param {Object} options Optional: timeoutMs (time the transports get to
+ *   flush, default 5000)
+ * @returns {Promise<Array>} Resolves with a status per transport:
+ *   { transport, status: 'flushed' }. Rejects with an error holding these in
+ *   'transports' if any transport failed ('error', with 'error') or did not
+ *   finish in time ('timeout').
+ */
+function shutdown(options) {
+
+  if (!log) {
+    return Promise.resolve([]);
+  }
+  if (shutdownPromise) {
+    return shutdownPromise;
   }
+
+  options = options || {};
+  const timeoutMs = (options.timeoutMs === undefined ? DEFAULT_SHUTDOWN_TIMEOUT : options.timeoutMs);
+
+  // Pending rate limit summaries still go out
+  flushRateLimiter();
+
+  const waiting = log.transports.map((transport) => waitForTransport(transport, timeoutMs));
+  shutdownPromise = Promise.all(waiting).then((results) => {
+    const failed = results.filter((result) => result.status !== 'flushed');
+    if (failed.length) {
+      const err = new Error('Log shutdown incomplete: ' +
+        failed.map((result) => result.transport + ' ' + result.status).join(', '));
+      err.transports = results;
+      throw err;
+    }
+    return results;
+  });
+  log.end();
+  return shutdownPromise;
 }
 
 /* -------- Private stuff --------
 
  /**
  * Default UTC timestamp formatter
+ * @param {number} time Optional, ms timestamp (default now)
  * @returns {string} Formatted UTC date time
  */
-function getUTCTimestamp() {
-  return moment(Date.now()).utc().format('YYYYMMDD-HHmmss.SSS');
+function getUTCTimestamp(time) {
+  return moment(time === undefined ? Date.now() : time).utc().format('YYYYMMDD-HHmmss.SSS');
 }
 
 
+/**
+ * Format adding the timestamp, the time of logging for dumped lines
+ */
+const timestampFormat = format((info) => {
+  info.timestamp = getUTCTimestamp(info[LOG_TIME]);
+  return info;
+});
+
+
 /**
  * Evaluate/parse the settings
  * @param {Object} Object holding the log settings
@@ -152,84 +512,709 @@ function evaluateSettings(settings) {
     return;
   }
 
-  // Determine app name
-  appName = settings.name || DEFAULT_LOGGER_NAME;
-  // Determine if to show the name
-  showName = getShowName(settings.showName);
-  // Determine if to show the pid
-  showPid = (settings.showPid ? true : false);
+  const { config, transports } = buildConfig(settings);
+
+  applyConfig(config);
+  createLog(transports);
+}
+
+
+/**
+ * Parse the settings and create their transports
+ * The environment overrides are applied first. The custom levels are
+ * activated before parsing, as the other settings may use them. On a
+ * failure the previous levels are restored.
+ * @param {Object} settings Object holding the log settings
+ * @returns {Object} Parsed settings (config) and transports
+ */
+function buildConfig(settings) {
+
+  const envProblems = [];
+  settings = applyEnv(settings, undefined, envProblems);
+  checkSettings(settings, envProblems);
+
+  const previous = levelDefs;
+  try {
+    levelDefs = getLevelDefs(settings.customLevels);
+    const config = parseSettings(settings);
+    return { config: config, transports: getTransports(settings, config) };
+  } catch (err) {
+    levelDefs = previous;
+    throw err;
+  }
+}
+
+
+/**
+ * Validate the settings
+ * All problems are reported at once: thrown in strict mode, written to the
+ * console in lenient mode.
+ * @param {Object} settings Object holding the log settings
+ * @param {Array} envProblems Problems of the environment overrides
+ * @throws {Error} On problems in strict mode, with the list as problems
+ */
+function checkSettings(settings, envProblems) {
 
-  // Determine deviating loglevels
-  if (settings.levels) {
-    getLogLevels(settings.levels);
+  const mode = (settings && typeof (settings.validate) === 'string' ?
+    settings.validate.toLowerCase() : DEFAULT_VALIDATION);
+  if (mode === 'off') {
+    return;
   }
 
-  // Determine default numeric log level
-  if (settings.level) {
-    logLevel = numLevel(settings.level);
+  const problems = envProblems.concat(validateSettings(settings, {
+    levels: Object.keys(CUSTOM_DEFS.levels),
+    transports: Array.from(transportFactories.keys())
+  }));
+  if (!problems.length) {
+    return;
+  }
+  const message = 'Invalid log settings:\n  ' + problems.join('\n  ');
+  if (mode === 'strict') {
+    const err = new Error(message);
+    err.problems = problems;
+    throw err;
   }
+  console.warn(message);
+}
+
+
+/**
+ * Parse the general (non transport) settings
+ * @param {Object} settings Object holding the log settings
+ * @returns {Object} Parsed settings
+ */
+function parseSettings(settings) {
+
+  return {
+    // Keep the settings themselves
+    settings: settings,
+    // Determine app name
+    appName: settings.name || DEFAULT_LOGGER_NAME,
+    // Determine if to show the name
+    showName: getShowName(settings.showName),
+    // Determine if to show the pid
+    showPid: (settings.showPid ? true : false),
+    // Determine default numeric log level
+    level: (settings.level ? numLevel(settings.level) : numLevel(DEFAULT_LOGLEVEL)),
+    // Determine deviating loglevels
+    levels: getLogLevels(settings.levels),
+    // Determine from which level to show error stacks
+    stackLevel: (settings.stackLevel ? numLevel(settings.stackLevel) : NR_TRACE),
+    // Determine what to redact
+    redactor: (settings.redact ? new Redactor(settings.redact) : undefined),
+    // Determine serialize limits
+    serializeOptions: serializer.getOptions(settings.serialize),
+    // Determine rate limits
+    rateLimiter: (settings.rateLimit ? new RateLimiter(settings.rateLimit, writeSummary) : undefined),
+    // Determine process events to shut down on
+    shutdown: getShutdownHooks(settings.shutdown),
+    // Determine process errors to log
+    errorHandling: getErrorHandling(settings),
+    // Determine sampling
+    sampler: (settings.sampling ? new Sampler(settings.sampling) : undefined)
+  };
+}
+
+
+/**
+ * Make parsed settings the active ones
+ * @param {Object} config Parsed settings
+ */
+function applyConfig(config) {
+
+  appName = config.appName;
+  showName = config.showName;
+  showPid = config.showPid;
+  logLevel = config.level;
+  logLevels = config.levels;
+  stackLevel = config.stackLevel;
+  redactor = config.redactor;
+  serializeOptions = config.serializeOptions;
+  rateLimiter = config.rateLimiter;
+  sampler = config.sampler;
+  effectiveSettings = config.settings;
+  defineLevelMethods();
+  installProcessHooks(config);
+  levelVersion++;
+}
+
+
+/**
+ * Create the transports defined in the settings
+ * @param {Object} settings Object holding the log settings
+ * @param {Object} config Parsed settings
+ * @returns {Array} Winston transports
+ */
+function getTransports(settings, config) {
 
   // Determine transport log level
-  const transLevel = determineTransLevel();
+  const transLevel = determineTransLevel(config.level, config.levels);
 
   // Determine transports to use
   const transports = [];
 
   if (settings.console) {
-    transports.push(getConsoleTransport(settings.console, transLevel));
+    transports.push(addFilter(
+      getConsoleTransport(settings.console, getTransportLevel(settings.console, transLevel)),
+      settings.console));
   }
 
+  const files = [];
   if (settings.file) {
-    transports.push(getFileTransport(settings.file, transLevel));
+    // One or more files
+    [].concat(settings.file).forEach((entry) => {
+      files.push(addFilter(
+        getFileTransport(entry, getTransportLevel(entry, transLevel)),
+        entry));
+    });
+    transports.push(...files);
+  }
+
+  if (settings.memory) {
+    // First, so a dump is written before the line that caused it
+    transports.unshift(addFilter(
+      getMemoryTransport(settings.memory, getTransportLevel(settings.memory, transLevel), files),
+      settings.memory));
+  }
+
+  if (settings.syslog) {
+    transports.push(addFilter(
+      getSyslogTransport(settings.syslog, getTransportLevel(settings.syslog, transLevel), config.appName),
+      settings.syslog));
+  }
+
+  if (settings.http) {
+    transports.push(addFilter(
+      getHttpTransport(settings.http, getTransportLevel(settings.http, transLevel)),
+      settings.http));
+  }
+
+  // Registered transports
+  transportFactories.forEach((factory, name) => {
+    if (settings[name]) {
+      [].concat(settings[name]).forEach((entry) => {
+        transports.push(addFilter(
+          getCustomTransport(name, factory, entry, getTransportLevel(entry, transLevel), config.appName),
+          entry));
+      });
+    }
+  });
+
+  return transports;
+}
+
+
+/**
+ * Get the level of a transport, its own level if it has one
+ * @param {Object} settings Transport settings
+ * @param {string} transLevel Level derived from the module levels
+ * @returns {string} Transport level
+ */
+function getTransportLevel(settings, transLevel) {
+  return (settings.level ? strLevel(numLevel(settings.level)) : transLevel);
+}
+
+
+/**
+ * Add the level / module filter of the transport settings to a transport
+ * A transport with its own level gets all lines at or above that level (of
+ * the modules it accepts). Without one it follows the module levels.
+ * @param {Object} transport Winston transport
+ * @param {Object} settings Transport settings
+ * @returns {Object} The transport
+ */
+function addFilter(transport, settings) {
+
+  const modules = settings.modules;
+  const filter = {
+    level: (settings.level ? numLevel(settings.level) : undefined),
+    include: undefined,
+    exclude: undefined
+  };
+  // Array is an include list, otherwise include and / or exclude
+  if (Array.isArray(modules)) {
+    filter.include = modules.map(compilePattern);
+  } else if (modules) {
+    filter.include = (modules.include ? [].concat(modules.include).map(compilePattern) : undefined);
+    filter.exclude = (modules.exclude ? [].concat(modules.exclude).map(compilePattern) : undefined);
+  }
+
+  transport.filterSettings = filter;
+  // Without the filter, to render dumped lines
+  transport.lineFormat = transport.format;
+  transport.format = format.combine(filterFormat(filter), transport.format);
+  return transport;
+}
+
+
+/**
+ * Format dropping lines that the transport filter does not accept
+ */
+const filterFormat = format((info, filter) => (isFilterAccepted(info, filter) ? info : false));
+
+
+/**
+ * Check if a transport filter accepts a line
+ * @param {Object} info Winston log info
+ * @param {Object} filter Transport filter
+ * @returns {boolean} True if accepted
+ */
+function isFilterAccepted(info, filter) {
+
+  if (!isModuleAccepted(info.module, filter)) {
+    return false;
+  }
+  // Follow the level of the module
+  return !(filter.level === undefined && info[MODULE_LEVEL] !== undefined &&
+    numLevel(info[LEVEL]) > info[MODULE_LEVEL]);
+}
+
+
+/**
+ * Check if a transport filter accepts a module
+ * @param {string} name Module name
+ * @param {Object} filter Transport filter
+ * @returns {boolean} True if accepted
+ */
+function isModuleAccepted(name, filter) {
+
+  if (filter.include && !matchModule(name, filter.include)) {
+    return false;
   }
+  return !(filter.exclude && matchModule(name, filter.exclude));
+}
+
+
+/**
+ * Create the (single) winston logger
+ * @param {Array} transports Winston transports
+ */
+function createLog(transports) {
 
   // No transports
   nrTransports = transports.length;
+  shutdownPromise = undefined;
 
   // Create (single) log instance
   log = winston.createLogger({
     transports: transports,
-    levels: CUSTOM_DEFS.levels
+    levels: levelDefs.levels,
+    // Transports format themselves (skip the default JSON format)
+    format: format((info) => info)()
   });
   // Add console colors
-  winston.addColors(CUSTOM_DEFS.colors);
-  // Suppress errors
+  winston.addColors(levelDefs.colors);
+  // Suppress errors: transport errors do not throw at the log call, shutdown()
+  // reports them
   log.emitErrs = false;
+  log.on('error', () => undefined);
+
+  // Link finish handlers
+  transports.forEach((transport) => {
+    transport.on('finish', handleFinish);
+  });
+}
+
+
+/**
+ * Add a transport to the active log
+ * @param {Object} transport Winston transport
+ */
+function addTransport(transport) {
+
+  log.add(transport);
+  nrTransports++;
+  transport.on('finish', handleFinish);
+  levelsChanged();
+}
+
+
+/**
+ * Remove a transport from the active log (if it is still in there)
+ * @param {Object} transport Winston transport
+ */
+function removeTransport(transport) {
+
+  if (!log || log.transports.indexOf(transport) < 0) {
+    return;
+  }
+  transport.removeListener('finish', handleFinish);
+  log.remove(transport);
+  nrTransports--;
+  levelsChanged();
+}
+
+
+/**
+ * Let instances re-resolve their level and update the transport threshold
+ */
+function levelsChanged() {
+
+  levelVersion++;
+
+  if (log) {
+    const transLevel = determineTransLevel();
+    log.transports.forEach((transport) => {
+      // Transports with their own level keep it
+      if (!transport.filterSettings || transport.filterSettings.level === undefined) {
+        transport.level = transLevel;
+      }
+    });
+  }
+}
+
+
+/**
+ * Get the numeric level of a module
+ * Level keys may be a (dotted) parent name like 'db', or contain '*' wildcards
+ * matching a single name part, like 'db.*' or '*.http'. A module inherits from
+ * its parents ('db.pool.conn' from 'db.pool', then 'db'), the most specific
+ * match wins.
+ * @param {string} name Module name
+ * @returns {number} Log level number
+ */
+function getModuleLevel(name) {
+
+  // Exact match
+  if (name in logLevels) {
+    return logLevels[name];
+  }
+
+  const match = matchModule(name, Object.keys(logLevels).map(compilePattern));
+  return (match ? logLevels[match.key] : logLevel);
+}
+
+
+/**
+ * Get the level at which an instance must log
+ * This is the module level, raised to the explicit level of any transport
+ * that accepts the module.
+ * @param {string} name Module name
+ * @param {number} moduleLevel Level of the module
+ * @returns {number} Log level number
+ */
+function getInstanceLevel(name, moduleLevel) {
+
+  let result = moduleLevel;
+  if (log) {
+    log.transports.forEach((transport) => {
+      const filter = transport.filterSettings;
+      if (filter && filter.level !== undefined && filter.level > result &&
+        isModuleAccepted(name, filter)) {
+        result = filter.level;
+      }
+    });
+  }
+  return result;
+}
+
+
+/**
+ * Write a rate limit summary line
+ * @param {string} name Module name
+ * @param {string} level Log level
+ * @param {string} message Summary
+ */
+function writeSummary(name, level, message) {
+
+  if (log) {
+    log.log({
+      level: level,
+      message: message,
+      [SPLAT]: [],
+      module: name,
+      pid: process.pid
+    });
+  }
+}
+
+
+/**
+ * Write pending rate limit summaries
+ */
+function flushRateLimiter() {
+
+  if (rateLimiter) {
+    rateLimiter.flush();
+  }
+}
+
+
+/**
+ * Read log settings from a config file
+ * @param {string} path Config file path
+ * @returns {Object} Log settings
+ */
+function readConfig(path) {
+
+  const config = JSON.parse(fs.readFileSync(path, 'utf8'));
+  return config.logSettings || config;
+}
+
+
+/**
+ * Get format based on settings
+ * @param {Object} settings
+ * @returns {Object} Format object
+ */
+function getFormat(settings) {
+
+  // Structured output, one JSON object per line
+  if (isJsonFormat(settings)) {
+    if (settings.timestamp === false) {
+      return format.printf(renderJson);
+    }
+    return format.combine(
+      timestampFormat(),
+      format.printf(renderJson)
+    );
+  }
+
+  // Format simple
+  let result = format.simple();
+  // Optionally colorize
+  if (settings.colorize) {
+    result = format.combine(format.colorize(), result);
+  }
+  // Explicitly not use timestamp
+  if (settings.timestamp === false) {
+    return format.combine(
+      result,
+      format.printf((info) => `${info.level}: ${renderText(info)}`)
+    );
+  }
+  // Use timestamp
+  return format.combine(
+    result,
+    timestampFormat(),
+    format.printf((info) => `${info.timestamp} - ${info.level}: ${renderText(info)}`)
+  );
+}
+
+
+/**
+ * Check if the transport settings ask for JSON output
+ * @param {Object} settings Transport settings
+ * @returns {boolean} True if JSON
+ */
+function isJsonFormat(settings) {
+  return (typeof (settings.format) === 'string' &&
+    settings.format.toLowerCase() === 'json');
+}
+
+
+/**
+ * Render the message part of a text line, including the name / pid prefix
+ * @param {Object} info Winston log info
+ * @returns {string} Message text
+ */
+function renderText(info) {
+
+  // Errors are shown by their title, followed by their stack
+  const errors = [];
+  const args = info[SPLAT] || [];
+  [info.message].concat(args).forEach((arg) => {
+    if (isError(arg)) {
+      errors.push(arg);
+    }
+  });
+
+  let message = renderMessage(info);
+  // Bound fields go between prefix and message
+  const fields = renderFields(info.fields);
+  if (fields) {
+    message = fields + ' ' + message;
+  }
+  const prefix = getPrefix(info);
+  if (prefix) {
+    message = util.format('[%s] %s', prefix, message);
+  }
+
+  const withStack = isStackLevel(info);
+  errors.forEach((err) => {
+    message += renderErrorStack(err, withStack);
+  });
+  return (redactor ? redactor.redactText(message) : message);
+}
+
+
+/**
+ * Render the message text of a line (without prefix, fields and stacks)
+ * @param {Object} info Winston log info
+ * @returns {string} Message text
+ */
+function renderMessage(info) {
+  const first = (isError(info.message) ? errorTitle(info.message) : info.message);
+  return formatMessage(first, info[SPLAT] || []);
+}
+
+
+/**
+ * Check if error stacks are to be shown for the level of a line
+ * @param {Object} info Winston log info
+ * @returns {boolean} True if stacks are to be shown
+ */
+function isStackLevel(info) {
+  return (numLevel(info[LEVEL] || info.level) <= stackLevel);
+}
+
+
+/**
+ * Render bound fields as key=value pairs
+ * @param {Object} fields Fields (optional)
+ * @returns {string} Rendered fields (empty if none)
+ */
+function renderFields(fields) {
+  if (!fields) {
+    return '';
+  }
+  return Object.keys(fields).map((key) => {
+    const value = serializer.serialize(fields[key], serializeOptions);
+    // Quote values that would break the key=value layout
+    if ((value !== null && typeof (value) === 'object') ||
+      (typeof (value) === 'string' && /[\s="]/.test(value))) {
+      return key + '=' + JSON.stringify(value);
+    }
+    return key + '=' + value;
+  }).join(' ');
+}
+
+
+/**
+ * Render a log line as JSON
+ * Bound fields and object arguments that are not used by a placeholder in
+ * the message become fields of the record (without overwriting the standard
+ * fields).
+ * @param {Object} info Winston log info
+ * @returns {string} JSON line
+ */
+function renderJson(info) {
+
+  const args = info[SPLAT] || [];
+  // Errors are shown by their title, the first also as 'err' field
+  const err = [info.message].concat(args).find(isError);
+  const message = (isError(info.message) ? errorTitle(info.message) : info.message);
+
+  // Arguments consumed by placeholders
+  const nrUsed = getPlaceholders(message).length;
+  const msgArgs = args.slice(0, nrUsed);
+  const fields = [];
+
+  args.slice(nrUsed).forEach((arg) => {
+    if (isFieldObject(arg)) {
+      fields.push(arg);
+    } else {
+      msgArgs.push(arg);
+    }
+  });
+
+  const record = {};
+  if (info.timestamp) {
+    record.timestamp = info.timestamp;
+  }
+  record.level = info[LEVEL] || info.level;
+  record.app = appName;
+  record.module = info.module;
+  record.pid = info.pid;
+  record.msg = formatMessage(message, msgArgs);
+  if (err) {
+    record.err = serializer.serialize(serializeError(err, isStackLevel(info)), serializeOptions);
+  }
+
+  // Bound fields first, object arguments of the call win on clashes
+  const extra = Object.assign({}, info.fields, ...fields);
+  Object.keys(extra).forEach((key) => {
+    if (!(key in record)) {
+      record[key] = serializer.serialize(extra[key], serializeOptions);
+    }
+  });
+
+  // Patterns are masked in every string: the message, error and fields
+  return JSON.stringify(redactor ? redactor.redactStrings(record) : record);
+}
+
+
+/**
+ * Format the message text like util.format, with safely serialized arguments
+ * Errors become their title. Objects become JSON, except for the %j, %o and
+ * %O placeholders, which get the serialized object.
+ * @param {*} message Log message
+ * @param {Array} args Log arguments
+ * @returns {string} Message text
+ */
+function formatMessage(message, args) {
+
+  // A huge message is limited like a string argument
+  if (typeof (message) === 'string') {
+    message = serializer.serialize(message, serializeOptions);
+  }
+  const placeholders = getPlaceholders(message);
+  const formatArgs = args.map((arg, index) => {
+    if (isError(arg)) {
+      return errorTitle(arg);
+    }
+    const value = serializer.serialize(arg, serializeOptions);
+    if (value === null || typeof (value) !== 'object' ||
+      /^%[joO]$/.test(placeholders[index])) {
+      return value;
+    }
+    return JSON.stringify(value);
+  });
+  return util.format(message, ...formatArgs);
+}
+
+
+/**
+ * Check if a JSON log argument is to be added as fields
+ * @param {*} arg Log argument
+ * @returns {boolean} True for plain objects and class instances
+ */
+function isFieldObject(arg) {
+  return (arg !== null && typeof (arg) === 'object' &&
+    !Array.isArray(arg) && !isError(arg) && !Buffer.isBuffer(arg) &&
+    !(arg instanceof Date) && !(arg instanceof Map) && !(arg instanceof Set) &&
+    !util.types.isTypedArray(arg));
+}
 
-  // Link finish handlers
-  transports.forEach((transport) => {
-    transport.on('finish', handleFinish);
-  });
+
+/**
+ * Get the util.format placeholders in a message
+ * @param {*} message Log message
+ * @returns {Array} Placeholders (like '%s'), without '%%'
+ */
+function getPlaceholders(message) {
+  if (typeof (message) !== 'string') {
+    return [];
+  }
+  const tokens = message.match(/%[sdifjoOc%]/g) || [];
+  return tokens.filter((token) => token !== '%%');
 }
 
+
 /**
- * Get format based on settings
- * @param {Object} settings
- * @returns {Object} Format object
+ * Get name and / or pid prefix
+ * @param {Object} info Winston log info
+ * @returns {string} Prefix (empty if none)
  */
-function getFormat(settings) {
+function getPrefix(info) {
 
-  // Format simple
-  let result = format.simple();
-  // Optionally colorize
-  if (settings.colorize) {
-    result = format.combine(format.colorize(), result);
+  let addOn = '';
+  // Add pid if required
+  if (showPid) {
+    addOn += util.format('#%d', info.pid);
   }
-  // Explicitly not use timestamp
-  if (settings.timestamp === false) {
-    return format.combine(
-      result,
-      format.printf(({ level, message, [SPLAT]: args = [] }) => `${level}: ${util.format(message, ...args)}`)
-    );
+  // Add name if required
+  if (showName > SN_NONE) {
+    if (showPid) {
+      addOn += '-';
+    }
+    if (showName === SN_FULL) {
+      addOn += util.format('%s.%s', appName, info.module);
+    } else {
+      addOn += info.module;
+    }
   }
-  // Use timestamp
-  return format.combine(
-    result,
-    format.timestamp({
-      format: getUTCTimestamp
-    }),
-    format.printf(({ timestamp, level, message, [SPLAT]: args = [] }) => `${timestamp} - ${level}: ${util.format(message, ...args)}`)
-  );
+  return addOn;
 }
 
 
@@ -264,29 +1249,178 @@ function getFileTransport(settings, level) {
   opts.filename = settings.path || DEFAULT_LOGFILE;
   opts.format = getFormat(settings);
 
+  // Batched asynchronous writes
+  if (settings.buffer) {
+    if (settings.rotate || settings.rollingFile) {
+      throw new Error('A buffered file cannot be rotated');
+    }
+    return new BufferedFileTransport(Object.assign(opts, settings.buffer));
+  }
+
+  // Time based rotation
+  if (settings.rotate) {
+    return new RotatingFileTransport(Object.assign(opts, settings.rotate));
+  }
+
   if (settings.rollingFile) {
     opts.maxsize = settings.rollingFile.maxSize || 10000000;
     opts.maxFiles = settings.rollingFile.maxFiles || 10;
-    opts.tailable = (settings.rollingFile.tailable === undefined ? true : settings.tailable);
+    opts.tailable = (settings.rollingFile.tailable === undefined ? true : settings.rollingFile.tailable);
   }
 
   return new winston.transports.File(opts);
 }
 
 
+/**
+ * Get syslog transport
+ * @param {Object} settings Syslog settings
+ * @param {string} level Transport level
+ * @param {string} name App name
+ * @returns {Object} Winston transport
+ */
+function getSyslogTransport(settings, level, name) {
+
+  const opts = Object.assign({}, settings);
+
+  opts.level = level;
+  opts.appName = name;
+  opts.severities = levelDefs.severities;
+  // Syslog adds its own timestamp and severity
+  opts.format = format.printf(isJsonFormat(settings) ? renderJson : renderText);
+
+  return new SyslogTransport(opts);
+}
+
+
+/**
+ * Get http transport
+ * @param {Object} settings Http settings
+ * @param {string} level Transport level
+ * @returns {Object} Winston transport
+ */
+function getHttpTransport(settings, level) {
+
+  const opts = Object.assign({}, settings);
+
+  opts.level = level;
+  // The collector gets JSON
+  opts.format = getFormat(Object.assign({}, settings, { format: 'json' }));
+
+  return new HttpTransport(opts);
+}
+
+
+/**
+ * Get memory transport
+ * @param {Object} settings Memory settings
+ * @param {string} level Transport level
+ * @param {Array} files File transports to dump to
+ * @returns {Object} Winston transport
+ */
+function getMemoryTransport(settings, level, files) {
+
+  const opts = {};
+
+  opts.level = level;
+  opts.format = getFormat(settings);
+  opts.size = settings.size;
+
+  if (settings.dumpOnError && files.length) {
+    opts.dumpLevel = (settings.dumpOnError.level ? strLevel(numLevel(settings.dumpOnError.level)) : undefined);
+    opts.dump = (entries) => dumpEntries(entries, files);
+  }
+
+  return new MemoryTransport(opts);
+}
+
+
+/**
+ * Write buffered entries to the file transports that did not write them
+ * Entries of modules a file does not accept are skipped, the others are
+ * rendered in the format of the file, with the time they were logged.
+ * @param {Array} entries Memory transport entries
+ * @param {Array} files File transports
+ */
+function dumpEntries(entries, files) {
+
+  files.forEach((transport) => {
+    entries.filter((entry) => !isWrittenBy(transport, entry.info) &&
+      isModuleAccepted(entry.module, transport.filterSettings)).forEach((entry) => {
+      // Undo the memory format: colorized level, timestamp
+      const info = transport.lineFormat.transform(Object.assign({}, entry.info, {
+        level: entry.level,
+        timestamp: undefined,
+        [LOG_TIME]: entry.time
+      }), transport.lineFormat.options);
+      if (info) {
+        transport.log(info, () => undefined);
+      }
+    });
+  });
+}
+
+
+/**
+ * Check if a transport writes a line
+ * @param {Object} transport Winston transport
+ * @param {Object} info Winston log info
+ * @returns {boolean} True if written
+ */
+function isWrittenBy(transport, info) {
+
+  const level = transport.level || log.level;
+  return (numLevel(info[LEVEL]) <= numLevel(level) &&
+    (!transport.filterSettings || isFilterAccepted(info, transport.filterSettings)));
+}
+
+
+/**
+ * Get registered transport
+ * @param {string} name Settings key
+ * @param {function} factory Transport factory
+ * @param {Object} settings Transport settings
+ * @param {string} level Transport level
+ * @param {string} appName App name
+ * @throws {Error} If the factory did not return a transport
+ * @returns {Object} Winston transport
+ */
+function getCustomTransport(name, factory, settings, level, appName) {
+
+  const opts = {};
+
+  opts.level = level;
+  opts.format = getFormat(settings);
+  opts.appName = appName;
+
+  const transport = factory(settings, opts);
+  if (!transport || typeof (transport.log) !== 'function' || typeof (transport.on) !== 'function') {
+    throw new Error('Transport factory did not return a transport: ' + name);
+  }
+  // Level and format are managed here, like those of the built-in transports
+  transport.level = level;
+  transport.format = transport.format || opts.format;
+  return transport;
+}
+
+
 /**
  * Get optinally deviating log levels
  * @param {Object} settings Object holding a level per logger
+ * @returns {Object} Numeric level per logger
  */
 function getLogLevels(settings) {
+
+  const result = {};
   if (!settings) {
-    return;
+    return result;
   }
 
   // Add numeric value of log level to a lookup
   Object.keys(settings).forEach((entry) => {
-    logLevels[entry] = numLevel(settings[entry]);
+    result[entry] = numLevel(settings[entry]);
   });
+  return result;
 }
 
 
@@ -310,18 +1444,41 @@ function getShowName(value) {
 }
 
 
+/**
+ * Copy settings, nested objects and lists included
+ * Other values (functions, regular expressions) are shared.
+ * @param {*} value Settings value
+ * @returns {*} Copy
+ */
+function copySettings(value) {
+  if (Array.isArray(value)) {
+    return value.map(copySettings);
+  }
+  if (value && Object.getPrototypeOf(value) === Object.prototype) {
+    const result = {};
+    Object.keys(value).forEach((key) => {
+      result[key] = copySettings(value[key]);
+    });
+    return result;
+  }
+  return value;
+}
+
+
 /**
  * Determine transport level using the given value
  * Take specific defined loglevels into account
- * @param {string} value Level
+ * @param {number} level Default level (defaults to the active one)
+ * @param {Object} levels Levels per module (defaults to the active ones)
+ * @returns {string} Transport level
  */
-function determineTransLevel() {
+function determineTransLevel(level = logLevel, levels = logLevels) {
 
   // Minimum level is default log level
-  let minLevel = logLevel;
-  for (const key in logLevels) {
-    if (logLevels[key] > minLevel) {
-      minLevel = logLevels[key];
+  let minLevel = level;
+  for (const key in levels) {
+    if (levels[key] > minLevel) {
+      minLevel = levels[key];
     }
   }
   // Get string presentation
@@ -334,15 +1491,9 @@ function determineTransLevel() {
  * @returns {number} Log level number
  */
 function numLevel(value) {
-  switch (value.toLowerCase()) {
-  case 'fatal': return NR_FATAL;
-  case 'error': return NR_ERROR;
-  case 'warn': return NR_WARN;
-  case 'info': return NR_INFO;
-  case 'debug': return NR_DEBUG;
-  case 'trace': return NR_TRACE;
-  default: return NR_TRACE;
-  }
+  const level = String(value).toLowerCase();
+  return (Object.prototype.hasOwnProperty.call(levelDefs.levels, level) ?
+    levelDefs.levels[level] : NR_TRACE);
 }
 
 /**
@@ -351,17 +1502,306 @@ function numLevel(value) {
  * @returns {number} Log level string
  */
 function strLevel(value) {
-  switch (value) {
-  case NR_FATAL: return 'fatal';
-  case NR_ERROR: return 'error';
-  case NR_WARN: return 'warn';
-  case NR_INFO: return 'info';
-  case NR_DEBUG: return 'debug';
-  case NR_TRACE: return 'trace';
-  default: return 'trace';
+  return (Object.prototype.hasOwnProperty.call(levelDefs.names, value) ?
+    levelDefs.names[value] : 'trace');
+}
+
+/**
+ * Get the level defs: the built-in levels plus the custom levels
+ * A custom level without severity gets the syslog severity of the nearest
+ * built-in level that is at least as severe.
+ * @param {Object} settings Custom levels by name: value (number), color and
+ *   severity (syslog severity name or code)
+ * @throws {Error} On an invalid name, value or severity
+ * @returns {Object} Level numbers (levels), names by number (names), colors
+ *   and syslog severities of the custom levels
+ */
+function getLevelDefs(settings) {
+
+  const result = {
+    levels: Object.assign({}, CUSTOM_DEFS.levels),
+    names: {},
+    colors: Object.assign({}, CUSTOM_DEFS.colors),
+    severities: {}
+  };
+  Object.keys(result.levels).forEach((name) => {
+    result.names[result.levels[name]] = name;
+  });
+
+  Object.keys(settings || {}).forEach((name) => {
+    const def = settings[name] || {};
+    if (!LEVEL_NAME.test(name) || name in result.levels ||
+      isReservedMethod(name) || isReservedMethod(getIsMethod(name))) {
+      throw new Error('Invalid custom level name: ' + name);
+    }
+    if (!Number.isInteger(def.value) || def.value < 0 || def.value in result.names) {
+      throw new Error('Invalid custom level value: ' + name + '=' + def.value);
+    }
+    const builtIn = Object.keys(CUSTOM_DEFS.levels).filter((key) =>
+      CUSTOM_DEFS.levels[key] <= def.value).pop();
+
+    result.levels[name] = def.value;
+    result.names[def.value] = name;
+    result.colors[name] = def.color || DEFAULT_LEVEL_COLOR;
+    result.severities[name] = (def.severity !== undefined ?
+      getSeverity(def.severity) : SEVERITIES[builtIn]);
+  });
+  return result;
+}
+
+/**
+ * Check if a name is taken by a TownsvilleLogger method (other than a
+ * generated custom level method)
+ * @param {string} name Method name
+ * @returns {boolean} True if taken
+ */
+function isReservedMethod(name) {
+  return (name in TownsvilleLogger.prototype && levelMethods.indexOf(name) < 0);
+}
+
+/**
+ * Get the name of the isX() method of a level
+ * @param {string} level Level name
+ * @returns {string} Method name
+ */
+function getIsMethod(level) {
+  return 'is' + level.charAt(0).toUpperCase() + level.slice(1);
+}
+
+/**
+ * Generate the methods of the active custom levels on TownsvilleLogger,
+ * for example notice() and isNotice(). Those of previous custom levels are
+ * removed.
+ */
+function defineLevelMethods() {
+
+  const proto = TownsvilleLogger.prototype;
+  levelMethods.forEach((name) => {
+    delete proto[name];
+  });
+  levelMethods = [];
+
+  Object.keys(levelDefs.levels).filter((name) => !(name in CUSTOM_DEFS.levels)).forEach((name) => {
+    const nr = levelDefs.levels[name];
+    const isMethod = getIsMethod(name);
+    proto[name] = function () {
+      if (this._isToLog(nr) && nrTransports) {
+        this._write(name, arguments);
+      }
+    };
+    proto[isMethod] = function () {
+      return this._isToLog(nr, true);
+    };
+    levelMethods.push(name, isMethod);
+  });
+}
+
+/**
+ * Wait until a transport finished
+ * @param {Object} transport Winston transport
+ * @param {number} timeoutMs Max time to wait (ms)
+ * @returns {Promise<Object>} Resolves with the status of the transport
+ */
+function waitForTransport(transport, timeoutMs) {
+
+  return new Promise((resolve) => {
+    const done = (status, err) => {
+      clearTimeout(timer);
+      transport.removeListener('finish', onFinish);
+      transport.removeListener('error', onError);
+      const result = { transport: transport.name, status: status };
+      if (err) {
+        result.error = err;
+      }
+      resolve(result);
+    };
+    const onFinish = () => waitForFileStream(transport, () => done('flushed'));
+    const onError = (err) => done('error', err);
+    const timer = setTimeout(() => done('timeout'), timeoutMs);
+    transport.once('finish', onFinish);
+    transport.once('error', onError);
+  });
+}
+
+
+/**
+ * Wait until the file stream of a winston file transport is flushed
+ * This transport finishes before its file is (even) opened and written.
+ * @param {Object} transport Winston transport
+ * @param {function} callback Called when flushed (directly for other transports)
+ */
+function waitForFileStream(transport, callback) {
+
+  if (transport._opening) {
+    transport.once('open', () => waitForFileStream(transport, callback));
+    return;
+  }
+  const dest = transport._dest;
+  if (dest && !dest.writableFinished) {
+    dest.once('finish', callback);
+    return;
+  }
+  callback();
+}
+
+
+/**
+ * Get the process events to shut down on
+ * @param {Object|boolean} settings Shutdown settings: signals, beforeExit
+ *   and timeoutMs, true for the defaults
+ * @returns {Object} Shutdown hooks, undefined if none
+ */
+function getShutdownHooks(settings) {
+
+  if (!settings) {
+    return undefined;
+  }
+  settings = (settings === true ? {} : settings);
+  return {
+    signals: [].concat(settings.signals === undefined ? DEFAULT_SHUTDOWN_SIGNALS : settings.signals),
+    beforeExit: (settings.beforeExit === undefined ? true : settings.beforeExit),
+    timeoutMs: settings.timeoutMs
+  };
+}
+
+
+/**
+ * Get the process errors to log
+ * @param {Object} settings Object holding the log settings: handleExceptions
+ *   and handleRejections (true or { exitCode, rethrow, timeoutMs }),
+ *   handleWarnings and processLogger (logger name)
+ * @returns {Object} Error handling, undefined if none
+ */
+function getErrorHandling(settings) {
+
+  if (!settings.handleExceptions && !settings.handleRejections && !settings.handleWarnings) {
+    return undefined;
+  }
+  const getExit = (value) => {
+    if (!value) {
+      return undefined;
+    }
+    value = (value === true ? {} : value);
+    return {
+      exitCode: (value.exitCode === undefined ? DEFAULT_EXIT_CODE : value.exitCode),
+      rethrow: (value.rethrow ? true : false),
+      timeoutMs: value.timeoutMs
+    };
+  };
+  return {
+    name: settings.processLogger || DEFAULT_PROCESS_LOGGER,
+    exceptions: getExit(settings.handleExceptions),
+    rejections: getExit(settings.handleRejections),
+    warnings: (settings.handleWarnings ? true : false)
+  };
+}
+
+
+/**
+ * Install the process event handlers
+ * @param {Object} config Parsed settings
+ */
+function installProcessHooks(config) {
+
+  removeProcessHooks();
+  processHooks = getShutdownHandlers(config.shutdown).concat(getErrorHandlers(config.errorHandling));
+  processHooks.forEach((hook) => process.on(hook.event, hook.handler));
+}
+
+
+/**
+ * Get the process event handlers that shut down the log
+ * After a signal the log is flushed, then the signal is raised again if the
+ * application has no handler of its own (so the process still ends).
+ * @param {Object} hooks Shutdown hooks (optional)
+ * @returns {Array} Handlers: { event, handler }
+ */
+function getShutdownHandlers(hooks) {
+
+  if (!hooks) {
+    return [];
+  }
+
+  const result = [];
+  const options = { timeoutMs: hooks.timeoutMs };
+  hooks.signals.forEach((signal) => {
+    const handler = () => {
+      const appHandled = (process.listenerCount(signal) > 1);
+      shutdown(options).catch(() => undefined).then(() => {
+        removeProcessHooks();
+        if (!appHandled) {
+          process.kill(process.pid, signal);
+        }
+      });
+    };
+    result.push({ event: signal, handler: handler });
+  });
+  if (hooks.beforeExit) {
+    result.push({
+      event: 'beforeExit',
+      handler: () => {
+        if (!shutdownPromise) {
+          shutdown(options).catch(() => undefined);
+        }
+      }
+    });
+  }
+  return result;
+}
+
+
+/**
+ * Get the process event handlers that log errors and warnings
+ * An uncaught exception or unhandled rejection is logged at fatal level, the
+ * log is flushed and then the process exits or the error is thrown again.
+ * @param {Object} handling Error handling (optional)
+ * @returns {Array} Handlers: { event, handler }
+ */
+function getErrorHandlers(handling) {
+
+  if (!handling) {
+    return [];
+  }
+
+  const result = [];
+  const inst = createLogger(handling.name);
+  const onError = (title, exit) => (err) => {
+    // Not logged once a shutdown started, the process still goes down after it
+    inst.fatal(title, err);
+    shutdown({ timeoutMs: exit.timeoutMs }).catch(() => undefined).then(() => {
+      removeProcessHooks();
+      if (exit.rethrow) {
+        process.nextTick(() => {
+          throw err;
+        });
+      } else {
+        process.exit(exit.exitCode);
+      }
+    });
+  };
+
+  if (handling.exceptions) {
+    result.push({ event: 'uncaughtException', handler: onError('Uncaught exception', handling.exceptions) });
+  }
+  if (handling.rejections) {
+    result.push({ event: 'unhandledRejection', handler: onError('Unhandled rejection', handling.rejections) });
+  }
+  if (handling.warnings) {
+    result.push({ event: 'warning', handler: (warning) => inst.warn('Process warning', warning) });
   }
+  return result;
+}
+
+
+/**
+ * Remove the installed process event handlers
+ */
+function removeProcessHooks() {
+  processHooks.forEach((hook) => process.removeListener(hook.event, hook.handler));
+  processHooks = [];
 }
 
+
 /**
  * Handle finished
  */
@@ -382,14 +1822,28 @@ class TownsvilleLogger {
 
     // Copy name
     this._name = name;
-    // Set default log level
-    this._level = logLevel;
-    // Override if there is one specifically defined
-    if (name in logLevels) {
-      this._level = logLevels[name];
-    }
+    // Level is resolved on first use and after each level change
+    this._level = undefined;
+    this._moduleLevel = undefined;
+    this._levelVersion = -1;
     // Obtain pid
     this._pid = process.pid;
+    // Fields added to every line (see child)
+    this._fields = undefined;
+    // Sampling decisions made by isX(), used by the next line of that level
+    this._sampled = {};
+  }
+
+  /**
+   * Create a child logger that adds the given fields to every line
+   * The child has the same name (and so the same level) as its parent.
+   * @param {Object} fields Fields to bind, these win over the parent's fields
+   * @returns {TownsvilleLogger} Child logger
+   */
+  child(fields) {
+    const result = new TownsvilleLogger(this._name);
+    result._fields = Object.assign({}, this._fields, fields);
+    return result;
   }
 
   /**
@@ -397,13 +1851,12 @@ class TownsvilleLogger {
    */
   fatal() {
     if (this._isToLog(NR_FATAL) && nrTransports) {
-      this._addToArgs(arguments);
-      log.fatal.apply(null, arguments);
+      this._write('fatal', arguments);
     }
   }
 
   isFatal() {
-    return this._isToLog(NR_FATAL);
+    return this._isToLog(NR_FATAL, true);
   }
 
   /**
@@ -411,13 +1864,12 @@ class TownsvilleLogger {
    */
   error() {
     if (this._isToLog(NR_ERROR) && nrTransports) {
-      this._addToArgs(arguments);
-      log.error.apply(null, arguments);
+      this._write('error', arguments);
     }
   }
 
   isError() {
-    return this._isToLog(NR_ERROR);
+    return this._isToLog(NR_ERROR, true);
   }
 
   /**
@@ -425,13 +1877,12 @@ class TownsvilleLogger {
    */
   warn() {
     if (this._isToLog(NR_WARN) && nrTransports) {
-      this._addToArgs(arguments);
-      log.warn.apply(null, arguments);
+      this._write('warn', arguments);
     }
   }
 
   isWarn() {
-    return this._isToLog(NR_WARN);
+    return this._isToLog(NR_WARN, true);
   }
 
   /**
@@ -439,13 +1890,12 @@ class TownsvilleLogger {
    */
   info() {
     if (this._isToLog(NR_INFO) && nrTransports) {
-      this._addToArgs(arguments);
-      log.info.apply(null, arguments);
+      this._write('info', arguments);
     }
   }
 
   isInfo() {
-    return this._isToLog(NR_INFO);
+    return this._isToLog(NR_INFO, true);
   }
 
   /**
@@ -453,13 +1903,12 @@ class TownsvilleLogger {
    */
   debug() {
     if (this._isToLog(NR_DEBUG) && nrTransports) {
-      this._addToArgs(arguments);
-      log.debug.apply(null, arguments);
+      this._write('debug', arguments);
     }
   }
 
   isDebug() {
-    return this._isToLog(NR_DEBUG);
+    return this._isToLog(NR_DEBUG, true);
   }
 
   /**
@@ -467,13 +1916,59 @@ class TownsvilleLogger {
    */
   trace() {
     if (this._isToLog(NR_TRACE) && nrTransports) {
-      this._addToArgs(arguments);
-      log.trace.apply(null, arguments);
+      this._write('trace', arguments);
     }
   }
 
   isTrace() {
-    return this._isToLog(NR_TRACE);
+    return this._isToLog(NR_TRACE, true);
+  }
+
+  /**
+   * Start a timer
+   * When the level is not logged nothing is measured: done() does nothing.
+   * @param {string} label Message of the line logged by done()
+   * @param {string} level Log level of that line (default info)
+   * @returns {Object} Timer, done(fields) logs the label with the
+   *   milliseconds elapsed since the start as durationMs field, and with the
+   *   given fields
+   */
+  startTimer(label, level) {
+
+    level = level || DEFAULT_TIMER_LEVEL;
+    if (!this._isToLog(numLevel(level), true)) {
+      return { done: () => undefined };
+    }
+    const start = process.hrtime.bigint();
+    return {
+      done: (fields) => this._logDuration(label, start, level, fields)
+    };
+  }
+
+  /**
+   * Run a function and log how long it took, see startTimer()
+   * The line is logged at info, with a failed field if the function threw or
+   * rejected. When info is not logged the function is only run.
+   * @param {string} label Message of the line
+   * @param {function} fn Function to run, may return a promise
+   * @returns {Promise} Resolves (or rejects) like the function
+   */
+  time(label, fn) {
+
+    // A throwing function rejects as well
+    const run = () => new Promise((resolve) => resolve(fn()));
+    if (!this._isToLog(numLevel(DEFAULT_TIMER_LEVEL), true)) {
+      return run();
+    }
+
+    const start = process.hrtime.bigint();
+    return run().then((result) => {
+      this._logDuration(label, start);
+      return result;
+    }, (err) => {
+      this._logDuration(label, start, undefined, { failed: true });
+      throw err;
+    });
   }
 
 
@@ -481,60 +1976,134 @@ class TownsvilleLogger {
 
 
   /**
-   * Prefix name and / or pid to arg 0
-   * @param {} arg
-   * @returns {}
+   * Log the time elapsed since a start
+   * @param {string} label Message
+   * @param {bigint} start Start (process.hrtime.bigint)
+   * @param {string} level Log level (default info)
+   * @param {Object} fields Extra fields (optional)
    */
-  _addToArgs(args) {
+  _logDuration(label, start, level, fields) {
 
-    // Nothing to do
-    if ((showName === SN_NONE && !showPid) ||
-      !args) {
-      return;
+    const nr = numLevel(level || DEFAULT_TIMER_LEVEL);
+    if (this._isToLog(nr) && nrTransports) {
+      // Nanoseconds to milliseconds, microsecond precision
+      const durationMs = Math.round(Number(process.hrtime.bigint() - start) / 1000) / 1000;
+      this._write(strLevel(nr), ['%s', label, Object.assign({}, fields, { durationMs: durationMs })]);
     }
+  }
 
-    let addOn = '';
-    // Add pid if required
-    if (showPid) {
-      addOn += util.format('#%d', this._pid);
-    }
-    // Add name if required
-    if (showName > SN_NONE) {
-      if (showPid) {
-        addOn += '-';
-      }
-      if (showName === SN_FULL) {
-        addOn += util.format('%s.%s', appName, this._name);
-      } else {
-        addOn += this._name;
-      }
-    }
 
-    // Prepend addon betwee brackets
-    args['0'] = util.format('[%s] %s', addOn, args['0']);
+  /**
+   * Pass log line to winston
+   * Name and pid are added as fields, the transport format renders them.
+   * @param {string} level Log level
+   * @param {Object} args Log arguments (message followed by format args)
+   */
+  _write(level, args) {
+
+    // Context fields first, bound fields win
+    const context = contextStore.getStore();
+    let fields = (context ? Object.assign({}, context, this._fields) : this._fields);
+    let message = args[0];
+    let splat = Array.prototype.slice.call(args, 1);
+
+    // Mask sensitive values before any transport sees them
+    if (redactor) {
+      fields = redactor.redactValue(fields);
+      message = redactor.redactValue(message);
+      splat = splat.map((arg) => redactor.redactValue(arg));
+    }
 
-    // Convert 'object' type arguments to string
-    const argLen = args.length;
-    for (let i = 1; i < argLen; i++) {
-      const arg = args[i];
-      // It's an object, stringify its value
-      if (typeof (arg) === 'object') {
-        args[i] = JSON.stringify(args[i]);
-      }
+    // Drop lines beyond the rate limit and repeated lines
+    if (rateLimiter && !rateLimiter.check(this._name, level, numLevel(level), () =>
+      JSON.stringify(serializer.serialize([level, message, splat, fields], serializeOptions)))) {
+      return;
     }
+
+    log.log({
+      level: level,
+      message: message,
+      [SPLAT]: splat,
+      module: this._name,
+      pid: this._pid,
+      fields: fields,
+      [MODULE_LEVEL]: this._moduleLevel
+    });
   }
 
   /**
    * Check if the given level is to log
    * @param {number} level Level to log
+   * @param {boolean} [check] True for isX(), the next line uses its decision
    * @throws {Error} If not initialized
    * @returns {boolean} True if this is to log
    */
-  _isToLog(level) {
+  _isToLog(level, check) {
     if (!log) {
       throw new Error('Log system is not initialized');
     }
-    return (this._level >= level);
+    if (shutdownPromise) {
+      return false;
+    }
+    return (this._getLevel() >= level && (!sampler || this._sample(strLevel(level), check)));
+  }
+
+  /**
+   * Check if a line survives sampling
+   * With a sampling key in the fields the decision is the same for every
+   * line carrying that key, otherwise 1 in (1 / rate) lines is kept.
+   * @param {string} level Log level
+   * @param {boolean} [check] True for isX(), the next line uses its decision
+   * @returns {boolean} True if the line is kept
+   */
+  _sample(level, check) {
+
+    if (sampler.getRate(this._name, level) >= 1) {
+      return true;
+    }
+
+    const value = this._getSampleKey();
+    if (value !== undefined) {
+      return sampler.sampleKey(this._name, level, value);
+    }
+
+    // Counted lines: a kept isX() is not counted again by its line
+    if (this._sampled[level]) {
+      this._sampled[level] = !!check;
+      return true;
+    }
+    const result = sampler.sampleCount(this._name, level);
+    this._sampled[level] = !!(result && check);
+    return result;
+  }
+
+  /**
+   * Get the sampling key value from the bound or context fields
+   * @returns {*} Key value, undefined if not present
+   */
+  _getSampleKey() {
+    const key = sampler.key;
+    if (!key) {
+      return undefined;
+    }
+    if (this._fields && this._fields[key] !== undefined) {
+      return this._fields[key];
+    }
+    const context = contextStore.getStore();
+    return (context ? context[key] : undefined);
+  }
+
+  /**
+   * Get the numeric level of this instance
+   * @returns {number} Log level number
+   */
+  _getLevel() {
+    if (this._levelVersion !== levelVersion) {
+      this._moduleLevel = getModuleLevel(this._name);
+      this._level = getInstanceLevel(this._name, this._moduleLevel);
+      this._levelVersion = levelVersion;
+    }
+    return this._level;
   }
 }
 
@@ -542,4 +2111,15 @@ class TownsvilleLogger {
 module.exports.init = init;
 module.exports.deinit = deinit;
 module.exports.createLogger = createLogger;
+module.exports.registerTransport = registerTransport;
+module.exports.getRecent = getRecent;
+module.exports.getEffectiveSettings = getEffectiveSettings;
+module.exports.capture = capture;
+module.exports.reconfigure = reconfigure;
+module.exports.watchConfig = watchConfig;
+module.exports.unwatchConfig = unwatchConfig;
+module.exports.runWithContext = runWithContext;
+module.exports.setLevel = setLevel;
+module.exports.setModuleLevel = setModuleLevel;
 module.exports.end = end;
+module.exports.shutdown = shutdown;
@@ -0,0 +1,70 @@
+/**
+ * @fileOverview Module name matching for the Townsville logger
+ * @name match.js
+ * @author Matthijs Tempels <matthijs@townsville.nl>
+ * @license Copyright Townsville.nl
+ */
+"use strict";
+
+
+/**
+ * Find the most specific pattern matching a module (or one of its parents)
+ * @param {string} name Module name
+ * @param {Array} patterns Compiled patterns (see compilePattern)
+ * @returns {Object} Matching pattern, undefined if none
+ */
+function matchModule(name, patterns) {
+
+  if (typeof (name) !== 'string' || !patterns.length) {
+    return undefined;
+  }
+
+  const parts = name.split('.');
+
+  // Try the name itself, then its parents
+  for (let depth = parts.length; depth > 0; depth--) {
+    const path = parts.slice(0, depth).join('.');
+    let best;
+    for (const pattern of patterns) {
+      if (!pattern.regex.test(path)) {
+        continue;
+      }
+      // Prefer the least wildcards, then the most literal characters
+      if (!best || pattern.wildcards < best.wildcards ||
+        (pattern.wildcards === best.wildcards && pattern.literal > best.literal)) {
+        best = pattern;
+      }
+    }
+    if (best) {
+      return best;
+    }
+  }
+  return undefined;
+}
+
+
+/**
+ * Compile a module name or pattern to a matcher
+ * Patterns can be a (dotted) parent name like 'db', or contain '*' wildcards
+ * matching a single name part, like 'db.*' or '*.http'.
+ * @param {string} key Module name or pattern
+ * @returns {Object} Key, regex and specificity info
+ */
+function compilePattern(key) {
+
+  const parts = key.split('*');
+  const regex = parts
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('[^.]*');
+
+  return {
+    key: key,
+    regex: new RegExp('^' + regex + '$'),
+    wildcards: parts.length - 1,
+    literal: key.length - (parts.length - 1)
+  };
+}
+
+// Exports
+module.exports.compilePattern = compilePattern;
+module.exports.matchModule = matchModule;
@@ -0,0 +1,120 @@
+/**
+ * @fileOverview In-memory ring buffer transport for the Townsville logger
+ * @name memory.js
+ * @author Matthijs Tempels <matthijs@townsville.nl>
+ * @license Copyright Townsville.nl
+ */
+"use strict";
+
+const { compilePattern, matchModule } = require('./match');
+const { Transport } = require('winston');
+const LEVEL = Symbol.for('level');
+const MESSAGE = Symbol.for('message');
+
+/* @constant {number} Default number of entries kept */
+const DEFAULT_SIZE = 1000;
+/* @constant {string} Default level that triggers a dump */
+const DEFAULT_DUMP_LEVEL = 'error';
+
+
+class MemoryTransport extends Transport {
+
+  /**
+   * Create memory transport
+   * @param {Object} opts Transport options: size, dumpLevel and dump (called
+   *   with the entries since the previous dump, when a line at or above
+   *   dumpLevel is logged; before that line is passed to later transports)
+   */
+  constructor(opts) {
+    super(opts);
+
+    this.name = 'memory';
+    this._size = opts.size || DEFAULT_SIZE;
+    this._dump = opts.dump;
+    this._dumpLevel = opts.dumpLevel || DEFAULT_DUMP_LEVEL;
+
+    // Ring buffer, _next is the slot of the next entry
+    this._entries = new Array(this._size);
+    this._next = 0;
+    this._count = 0;
+    // Sequence number of the next entry, and of the first not dumped yet
+    this._seq = 0;
+    this._dumpFrom = 0;
+  }
+
+  /**
+   * Keep message, dump the buffered context on a severe line
+   * @param {Object} info Winston log info
+   * @param {function} callback Called when handled
+   */
+  log(info, callback) {
+    setImmediate(() => this.emit('logged', info));
+
+    const level = info[LEVEL] || info.level;
+    if (this._dump && this.levels[level] <= this.levels[this._dumpLevel]) {
+      const entries = this._list().filter((entry) => entry.seq >= this._dumpFrom);
+      this._dumpFrom = this._seq + 1;
+      if (entries.length) {
+        this._dump(entries);
+      }
+    }
+
+    this._entries[this._next] = {
+      seq: this._seq++,
+      time: Date.now(),
+      level: level,
+      module: info.module,
+      line: info[MESSAGE],
+      info: info
+    };
+    this._next = (this._next + 1) % this._size;
+    this._count = Math.min(this._count + 1, this._size);
+    callback();
+  }
+
+  /**
+   * Get the most recent entries
+   * @param {Object} query Optional: level (this level and above), module
+   *   (name or pattern), since (Date or ms timestamp) and limit
+   * @returns {Array} Entries, oldest first: { time, level, module, line }
+   */
+  query(query) {
+
+    query = query || {};
+    const maxLevel = (query.level ? this.levels[query.level] : undefined);
+    const patterns = (query.module ? [compilePattern(query.module)] : undefined);
+    const since = (query.since !== undefined ? new Date(query.since).getTime() : undefined);
+
+    const result = this._list().filter((entry) =>
+      (maxLevel === undefined || this.levels[entry.level] <= maxLevel) &&
+      (!patterns || matchModule(entry.module, patterns)) &&
+      (since === undefined || entry.time >= since)
+    ).map((entry) => ({
+      time: new Date(entry.time),
+      level: entry.level,
+      module: entry.module,
+      line: entry.line
+    }));
+    return (query.limit ? result.slice(-query.limit) : result);
+  }
+
+
+  // ---- Private ----
+
+
+  /**
+   * Get the buffered entries
+   * @returns {Array} Entries, oldest first
+   */
+  _list() {
+    const start = (this._next - this._count + this._size) % this._size;
+    const result = [];
+    for (let i = 0; i < this._count; i++) {
+      result.push(this._entries[(start + i) % this._size]);
+    }
+    return result;
+  }
+}
+
+// Exports
+module.exports.MemoryTransport = MemoryTransport;
@@ -0,0 +1,199 @@
+/**
+ * @fileOverview Rate limiting and duplicate suppression for the Townsville logger
+ * @name ratelimit.js
+ * @author Matthijs Tempels <matthijs@townsville.nl>
+ * @license Copyright Townsville.nl
+ */
+"use strict";
+
+const { compilePattern, matchModule } = require('./match');
+const util = require('util');
+
+/* @constant {number} Default rate limit interval (ms) */
+const DEFAULT_INTERVAL = 1000;
+
+
+class RateLimiter {
+
+  /**
+   * Create rate limiter
+   * @param {Object} settings Rate limit settings: lines, interval,
+   *   suppressDuplicates and modules (the same settings per module name)
+   * @param {function} emit Called with (module, level, message) to write a
+   *   summary line
+   */
+  constructor(settings, emit) {
+
+    this._defaults = getLimits(settings, {
+      lines: 0,
+      interval: DEFAULT_INTERVAL,
+      suppressDuplicates: false
+    });
+    this._modules = settings.modules || {};
+    this._patterns = Object.keys(this._modules).map(compilePattern);
+    this._emit = emit;
+
+    // State per module name
+    this._states = new Map();
+  }
+
+  /**
+   * Check if a line may be written
+   * @param {string} name Module name
+   * @param {string} level Log level
+   * @param {number} levelNr Numeric log level (lower is more severe)
+   * @param {function} getKey Returns the key to compare duplicates on
+   * @returns {boolean} True if the line may be written
+   */
+  check(name, level, levelNr, getKey) {
+
+    const state = this._getState(name);
+    const limits = state.limits;
+    const now = Date.now();
+
+    // Window passed
+    if (now - state.windowStart >= limits.interval) {
+      this._closeWindow(name, state);
+      state.windowStart = now;
+    }
+
+    if (limits.suppressDuplicates) {
+      const key = getKey();
+      if (key === state.lastKey) {
+        state.repeats++;
+        this._schedule(name, state);
+        return false;
+      }
+      this._flushRepeats(name, state);
+      state.lastKey = key;
+      state.lastLevel = level;
+    }
+
+    if (limits.lines && state.count >= limits.lines) {
+      state.dropped++;
+      if (state.dropLevel === undefined || levelNr < state.dropLevelNr) {
+        state.dropLevel = level;
+        state.dropLevelNr = levelNr;
+      }
+      this._schedule(name, state);
+      return false;
+    }
+
+    state.count++;
+    return true;
+  }
+
+  /**
+   * Write all pending summaries and stop the timers
+   */
+  flush() {
+    this._states.forEach((state, name) => {
+      this._closeWindow(name, state);
+    });
+  }
+
+
+  // ---- Private ----
+
+
+  /**
+   * Get (or create) the state of a module
+   * @param {string} name Module name
+   * @returns {Object} State
+   */
+  _getState(name) {
+
+    let state = this._states.get(name);
+    if (!state) {
+      const match = matchModule(name, this._patterns);
+      state = {
+        limits: (match ? getLimits(this._modules[match.key], this._defaults) : this._defaults),
+        windowStart: Date.now(),
+        count: 0,
+        dropped: 0,
+        dropLevel: undefined,
+        dropLevelNr: undefined,
+        lastKey: undefined,
+        lastLevel: undefined,
+        repeats: 0,
+        timer: undefined
+      };
+      this._states.set(name, state);
+    }
+    return state;
+  }
+
+  /**
+   * Make sure the window is closed in time, also if nothing is logged anymore
+   * @param {string} name Module name
+   * @param {Object} state Module state
+   */
+  _schedule(name, state) {
+
+    if (state.timer) {
+      return;
+    }
+    const delay = Math.max(0, state.windowStart + state.limits.interval - Date.now());
+    state.timer = setTimeout(() => {
+      state.timer = undefined;
+      this._closeWindow(name, state);
+      state.windowStart = Date.now();
+    }, delay);
+    state.timer.unref();
+  }
+
+  /**
+   * Close the window: report repeats and dropped lines and reset the count
+   * @param {string} name Module name
+   * @param {Object} state Module state
+   */
+  _closeWindow(name, state) {
+
+    clearTimeout(state.timer);
+    state.timer = undefined;
+
+    this._flushRepeats(name, state);
+    if (state.dropped) {
+      this._emit(name, state.dropLevel,
+        util.format('%d messages dropped by rate limit', state.dropped));
+    }
+    state.count = 0;
+    state.dropped = 0;
+    state.dropLevel = undefined;
+    state.dropLevelNr = undefined;
+  }
+
+  /**
+   * Report suppressed duplicates
+   * @param {string} name Module name
+   * @param {Object} state Module state
+   */
+  _flushRepeats(name, state) {
+
+    if (state.repeats) {
+      this._emit(name, state.lastLevel,
+        util.format('last message repeated %d times', state.repeats));
+      state.repeats = 0;
+    }
+  }
+}
+
+
+/**
+ * Get limits from settings, with defaults
+ * @param {Object} settings Rate limit settings
+ * @param {Object} defaults Default limits
+ * @returns {Object} Limits
+ */
+function getLimits(settings, defaults) {
+  settings = settings || {};
+  return {
+    lines: (settings.lines === undefined ? defaults.lines : settings.lines),
+    interval: settings.interval || defaults.interval,
+    suppressDuplicates: (settings.suppressDuplicates === undefined ?
+      defaults.suppressDuplicates : settings.suppressDuplicates)
+  };
+}
+
+// Exports
+module.exports.RateLimiter = RateLimiter;
@@ -0,0 +1,249 @@
+/**
+ * @fileOverview Redaction of sensitive data for the Townsville logger
+ * @name redact.js
+ * @author Matthijs Tempels <matthijs@townsville.nl>
+ * @license Copyright Townsville.nl
+ */
+"use strict";
+
+const crypto = require('crypto');
+const { isError } = require('./errors');
+const { readProperty, serialize } = require('./serialize');
+
+/* @constant {string} Default replacement text */
+const DEFAULT_REPLACEMENT = '[REDACTED]';
+/* @constant {number} Default number of characters a partial mask keeps */
+const DEFAULT_KEEP = 4;
+/* @constant {number} Number of hex characters of a hash mask */
+const HASH_LENGTH = 16;
+
+
+class Redactor {
+
+  /**
+   * Create redactor
+   * @param {Object} settings Redact settings: paths, patterns, mask
+   *   (replace, partial or hash), replacement, keep and hashKey (secret of
+   *   the hash mask)
+   * @throws {Error} On an unknown mask, an invalid pattern or a hash mask
+   *   without hashKey
+   */
+  constructor(settings) {
+
+    this._paths = [].concat(settings.paths || []).map((entry) => entry.split('.'));
+    this._patterns = [].concat(settings.patterns || []).map((entry) => new RegExp(entry, 'g'));
+    this._replacement = (settings.replacement === undefined ? DEFAULT_REPLACEMENT : settings.replacement);
+    this._keep = (settings.keep === undefined ? DEFAULT_KEEP : settings.keep);
+
+    switch ((settings.mask || 'replace').toLowerCase()) {
+    case 'replace':
+      this._mask = (value) => this._replace(value);
+      break;
+    case 'partial':
+      this._mask = (value) => this._partial(value);
+      break;
+    case 'hash':
+      // Keyed, a plain hash of a card number or PIN is easily reversed
+      if (typeof (settings.hashKey) !== 'string' || !settings.hashKey) {
+        throw new Error('The hash redact mask needs a hashKey');
+      }
+      this._hashKey = settings.hashKey;
+      this._mask = (value) => this._hash(value);
+      break;
+    default:
+      throw new Error('Unknown redact mask: ' + settings.mask);
+    }
+  }
+
+  /**
+   * Mask the values at the configured key paths
+   * The value itself is not changed. If anything is to be masked, a copy of
+   * the value is returned, with the same (circular) structure.
+   * @param {*} value Value (only objects and arrays are redacted)
+   * @returns {*} Redacted value
+   */
+  redactValue(value) {
+    if (!this._paths.some((parts) => hasPath(value, parts))) {
+      return value;
+    }
+    const result = copyValue(value, new Map());
+    const masked = new Map();
+    this._paths.forEach((parts) => this._maskPath(result, parts, masked));
+    return result;
+  }
+
+  /**
+   * Mask the configured patterns in a text
+   * @param {string} text Text
+   * @returns {string} Redacted text
+   */
+  redactText(text) {
+    let result = text;
+    this._patterns.forEach((pattern) => {
+      result = result.replace(pattern, (match) => this._mask(match));
+    });
+    return result;
+  }
+
+
+  /**
+   * Mask the configured patterns in every string of a JSON safe value
+   * @param {*} value Value (serialized)
+   * @returns {*} Redacted value
+   */
+  redactStrings(value) {
+    if (!this._patterns.length) {
+      return value;
+    }
+    if (typeof (value) === 'string') {
+      return this.redactText(value);
+    }
+    if (Array.isArray(value)) {
+      return value.map((entry) => this.redactStrings(entry));
+    }
+    if (value !== null && typeof (value) === 'object') {
+      const result = {};
+      Object.keys(value).forEach((key) => {
+        result[key] = this.redactStrings(value[key]);
+      });
+      return result;
+    }
+    return value;
+  }
+
+
+  // ---- Private ----
+
+
+  /**
+   * Mask the values at a key path of a copy, in place (recursive)
+   * @param {*} value Copied value
+   * @param {Array} parts Key path parts, '*' matches any key
+   * @param {Map} masked Keys masked already per object (a circular
+   *   structure can reach the same value twice)
+   */
+  _maskPath(value, parts, masked) {
+    const [head, ...rest] = parts;
+    getKeys(value, head).forEach((key) => {
+      if (rest.length) {
+        this._maskPath(value[key], rest, masked);
+        return;
+      }
+      const keys = masked.get(value) || new Set();
+      if (!keys.has(key)) {
+        keys.add(key);
+        masked.set(value, keys);
+        value[key] = this._mask(value[key]);
+      }
+    });
+  }
+
+  /**
+   * Replace a value by the replacement text
+   * @returns {string} Replacement
+   */
+  _replace() {
+    return this._replacement;
+  }
+
+  /**
+   * Mask all but the last characters of a value
+   * @param {*} value Value
+   * @returns {string} Masked value
+   */
+  _partial(value) {
+    const text = toText(value);
+    const keep = Math.min(this._keep, Math.floor(text.length / 2));
+    return '*'.repeat(text.length - keep) + text.slice(text.length - keep);
+  }
+
+  /**
+   * Replace a value by its (shortened) HMAC
+   * @param {*} value Value
+   * @returns {string} Hash
+   */
+  _hash(value) {
+    const hash = crypto.createHmac('sha256', this._hashKey).update(toText(value)).digest('hex');
+    return 'hmac:' + hash.slice(0, HASH_LENGTH);
+  }
+}
+
+
+/**
+ * Check if a value is searched for key paths
+ * These are arrays, plain objects and class instances; not errors, buffers,
+ * dates, maps and the like, which are left as they are.
+ * @param {*} value Value
+ * @returns {boolean} True if searched
+ */
+function isSearchable(value) {
+  return (Array.isArray(value) ||
+    (value !== null && typeof (value) === 'object' && !isError(value) &&
+      Object.prototype.toString.call(value) === '[object Object]'));
+}
+
+/**
+ * Get the keys of a value that match a key path part
+ * @param {*} value Value
+ * @param {string} part Key path part, '*' matches any key
+ * @returns {Array} Matching keys
+ */
+function getKeys(value, part) {
+  if (!isSearchable(value)) {
+    return [];
+  }
+  return (part === '*' ? Object.keys(value) : Object.keys(value).filter((key) => key === part));
+}
+
+/**
+ * Check if a value has anything at a key path
+ * @param {*} value Value
+ * @param {Array} parts Key path parts
+ * @returns {boolean} True if so
+ */
+function hasPath(value, parts) {
+  const [head, ...rest] = parts;
+  return getKeys(value, head).some((key) =>
+    !rest.length || hasPath(readProperty(value, key), rest));
+}
+
+/**
+ * Copy a value and everything it refers to (recursive)
+ * The copy has the same structure: a circular reference refers to the copy,
+ * so no path leads back to the original.
+ * @param {*} value Value
+ * @param {Map} copies Copy per original
+ * @returns {*} Copy
+ */
+function copyValue(value, copies) {
+  if (!isSearchable(value)) {
+    return value;
+  }
+  if (copies.has(value)) {
+    return copies.get(value);
+  }
+  const result = (Array.isArray(value) ? [] : Object.create(Object.getPrototypeOf(value)));
+  copies.set(value, result);
+  Object.keys(value).forEach((key) => {
+    result[key] = copyValue(readProperty(value, key), copies);
+  });
+  return result;
+}
+
+/**
+ * Get the text of a value to mask
+ * @param {*} value Value
+ * @returns {string} Text
+ */
+function toText(value) {
+  if (typeof (value) === 'string') {
+    return value;
+  }
+  if (value !== null && typeof (value) === 'object') {
+    return JSON.stringify(serialize(value));
+  }
+  return String(value);
+}
+
+// Exports
+module.exports.Redactor = Redactor;
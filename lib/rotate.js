@@ -0,0 +1,271 @@
+/**
+ * @fileOverview Time based rotating file transport for the Townsville logger
+ * @name rotate.js
+ * @author Matthijs Tempels <matthijs@townsville.nl>
+ * @license Copyright Townsville.nl
+ */
+"use strict";
+
+const fs = require('fs');
+const moment = require('moment');
+const os = require('os');
+const path = require('path');
+const { Transport } = require('winston');
+const zlib = require('zlib');
+const MESSAGE = Symbol.for('message');
+
+/* @constant {string} Placeholder for the date in the file path */
+const DATE_PLACEHOLDER = '%DATE%';
+/* @constant {Object} Default date pattern per frequency */
+const DATE_PATTERNS = {
+  daily: 'YYYY-MM-DD',
+  hourly: 'YYYY-MM-DD-HH'
+};
+/* @constant {string} Extension of compressed files */
+const GZIP_EXT = '.gz';
+/* @constant {number} Milliseconds per day */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+
+class RotatingFileTransport extends Transport {
+
+  /**
+   * Create rotating file transport
+   * @param {Object} opts Transport options: filename, frequency (daily or
+   *   hourly), datePattern, compress, maxFiles and maxAgeDays
+   * @throws {Error} On an unknown frequency
+   */
+  constructor(opts) {
+    super(opts);
+
+    this.name = 'rotatingFile';
+
+    const frequency = (opts.frequency || 'daily').toLowerCase();
+    if (!(frequency in DATE_PATTERNS)) {
+      throw new Error('Unknown rotate frequency: ' + opts.frequency);
+    }
+    this._datePattern = opts.datePattern || DATE_PATTERNS[frequency];
+    this._compress = (opts.compress ? true : false);
+    this._maxFiles = opts.maxFiles || 0;
+    this._maxAgeDays = opts.maxAgeDays || 0;
+
+    // Split path in the parts around the date
+    const filename = path.resolve(opts.filename);
+    this._dir = path.dirname(filename);
+    const base = path.basename(filename);
+    if (base.indexOf(DATE_PLACEHOLDER) >= 0) {
+      [this._prefix, this._suffix] = base.split(DATE_PLACEHOLDER);
+    } else {
+      const ext = path.extname(base);
+      this._prefix = base.slice(0, base.length - ext.length) + '-';
+      this._suffix = ext;
+    }
+
+    // Matches the file names of this transport (current and rotated)
+    this._regex = new RegExp('^' + escapeRegex(this._prefix) +
+      datePatternRegex(this._datePattern) + escapeRegex(this._suffix) +
+      '(' + escapeRegex(GZIP_EXT) + ')?$');
+
+    // Current period, file and stream
+    this._period = undefined;
+    this._file = undefined;
+    this._stream = undefined;
+    // Number of running archive / cleanup actions
+    this._pending = 0;
+    this._onIdle = [];
+  }
+
+  /**
+   * Write message to the file of the current period
+   * @param {Object} info Winston log info
+   * @param {function} callback Called when handled
+   */
+  log(info, callback) {
+    setImmediate(() => this.emit('logged', info));
+
+    this._checkPeriod();
+    this._stream.write(info[MESSAGE] + os.EOL);
+    callback();
+  }
+
+  /**
+   * Close the file and wait for archiving when the stream ends
+   * @param {function} callback Called when done
+   */
+  _final(callback) {
+    const stream = this._stream;
+    this._stream = undefined;
+    this._period = undefined;
+
+    const waitIdle = () => {
+      if (!this._pending) {
+        callback();
+        return;
+      }
+      this._onIdle.push(callback);
+    };
+
+    if (stream) {
+      stream.end(waitIdle);
+    } else {
+      waitIdle();
+    }
+  }
+
+
+  // ---- Private ----
+
+
+  /**
+   * Switch to a new file when the period changed
+   */
+  _checkPeriod() {
+    const period = moment(Date.now()).utc().format(this._datePattern);
+    if (period === this._period) {
+      return;
+    }
+
+    const oldFile = this._file;
+    const oldStream = this._stream;
+
+    this._period = period;
+    this._file = path.join(this._dir, this._prefix + period + this._suffix);
+    fs.mkdirSync(this._dir, { recursive: true });
+    this._stream = fs.createWriteStream(this._file, { flags: 'a' });
+    this._stream.on('error', (err) => this.emit('error', err));
+
+    if (oldStream) {
+      this._pending++;
+      oldStream.end(() => {
+        this._archive(oldFile, () => {
+          this._cleanup();
+          this._done();
+        });
+      });
+    } else {
+      this._cleanup();
+    }
+  }
+
+  /**
+   * Compress a rotated file (if enabled)
+   * @param {string} file File path
+   * @param {function} callback Called when done
+   */
+  _archive(file, callback) {
+    if (!this._compress) {
+      callback();
+      return;
+    }
+
+    // Only call back once, also on multiple errors
+    let called = false;
+    const finish = () => {
+      if (!called) {
+        called = true;
+        callback();
+      }
+    };
+
+    const source = fs.createReadStream(file);
+    const target = fs.createWriteStream(file + GZIP_EXT);
+    const gzip = zlib.createGzip();
+
+    source.on('error', finish);
+    target.on('finish', () => {
+      fs.unlink(file, finish);
+    });
+    target.on('error', finish);
+    source.pipe(gzip).pipe(target);
+  }
+
+  /**
+   * Remove rotated files beyond the max count or age
+   */
+  _cleanup() {
+    if (!this._maxFiles && !this._maxAgeDays) {
+      return;
+    }
+
+    this._pending++;
+    fs.readdir(this._dir, (err, names) => {
+      if (err) {
+        this._done();
+        return;
+      }
+
+      const now = Date.now();
+      const files = names
+        .filter((name) => this._isRotated(name))
+        .map((name) => {
+          const file = path.join(this._dir, name);
+          try {
+            return { file: file, mtime: fs.statSync(file).mtimeMs };
+          } catch (err) {
+            return undefined;
+          }
+        })
+        .filter((entry) => entry)
+        // Newest first
+        .sort((a, b) => b.mtime - a.mtime);
+
+      files.forEach((entry, index) => {
+        // The current file counts for max files too
+        const tooMany = (this._maxFiles && index + 1 >= this._maxFiles);
+        const tooOld = (this._maxAgeDays && now - entry.mtime > this._maxAgeDays * DAY_MS);
+        if (tooMany || tooOld) {
+          try {
+            fs.unlinkSync(entry.file);
+          } catch (err) {
+            // Already gone
+          }
+        }
+      });
+      this._done();
+    });
+  }
+
+  /**
+   * Check if a file name is a rotated (not the current) file of this transport
+   * @param {string} name File name
+   * @returns {boolean} True if rotated file
+   */
+  _isRotated(name) {
+    if (path.join(this._dir, name) === this._file) {
+      return false;
+    }
+    return this._regex.test(name);
+  }
+
+  /**
+   * Mark an archive / cleanup action as done
+   */
+  _done() {
+    this._pending--;
+    if (!this._pending) {
+      this._onIdle.splice(0).forEach((callback) => callback());
+    }
+  }
+}
+
+/**
+ * Escape text for use in a regex
+ * @param {string} value Text
+ * @returns {string} Escaped text
+ */
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Translate a moment date pattern to a regex matching its output
+ * @param {string} pattern Date pattern (like YYYY-MM-DD-HH)
+ * @returns {string} Regex source
+ */
+function datePatternRegex(pattern) {
+  return pattern.split('').map((chr) =>
+    (/[YMDHhms]/.test(chr) ? '\\d' : escapeRegex(chr))).join('');
+}
+
+// Exports
+module.exports.RotatingFileTransport = RotatingFileTransport;
@@ -0,0 +1,119 @@
+/**
+ * @fileOverview Sampling of high volume levels for the Townsville logger
+ * @name sampling.js
+ * @author Matthijs Tempels <matthijs@townsville.nl>
+ * @license Copyright Townsville.nl
+ */
+"use strict";
+
+const crypto = require('crypto');
+const { compilePattern, matchModule } = require('./match');
+
+/* @constant {number} 2^32, to map a hash to [0, 1) */
+const HASH_RANGE = 0x100000000;
+
+
+class Sampler {
+
+  /**
+   * Create sampler
+   * @param {Object} settings Sampling settings: levels (rate per level),
+   *   modules (rates per level per module name) and key (field name)
+   * @throws {Error} On a rate that is not a number between 0 and 1
+   */
+  constructor(settings) {
+
+    this._levels = getRates(settings.levels, 'levels');
+    this._modules = {};
+    Object.keys(settings.modules || {}).forEach((key) => {
+      this._modules[key] = getRates(settings.modules[key], 'modules.' + key);
+    });
+    this._patterns = Object.keys(this._modules).map(compilePattern);
+    this.key = settings.key;
+
+    // Rates and line counters per module name
+    this._rates = new Map();
+    this._counters = new Map();
+  }
+
+  /**
+   * Get the rate at which lines of a module and level are kept
+   * @param {string} name Module name
+   * @param {string} level Log level
+   * @returns {number} Rate (1 is all)
+   */
+  getRate(name, level) {
+
+    let rates = this._rates.get(name);
+    if (!rates) {
+      const match = matchModule(name, this._patterns);
+      rates = Object.assign({}, this._levels, (match ? this._modules[match.key] : undefined));
+      this._rates.set(name, rates);
+    }
+    return (level in rates ? rates[level] : 1);
+  }
+
+  /**
+   * Decide on a line using a sampling key value
+   * The same value always gets the same decision, so all lines of (for
+   * example) a request are either kept or dropped.
+   * @param {string} name Module name
+   * @param {string} level Log level
+   * @param {*} value Sampling key value
+   * @returns {boolean} True if the line is kept
+   */
+  sampleKey(name, level, value) {
+    return (hash(String(value)) / HASH_RANGE < this.getRate(name, level));
+  }
+
+  /**
+   * Decide on a line by counting: keeps 1 in (1 / rate) lines
+   * @param {string} name Module name
+   * @param {string} level Log level
+   * @returns {boolean} True if the line is kept
+   */
+  sampleCount(name, level) {
+
+    const rate = this.getRate(name, level);
+    if (rate <= 0) {
+      return false;
+    }
+
+    const id = name + '\n' + level;
+    const count = this._counters.get(id) || 0;
+    this._counters.set(id, (count + 1) % Math.round(1 / rate));
+    return (count === 0);
+  }
+}
+
+
+/**
+ * Validate rates per level
+ * @param {Object} settings Rate per level
+ * @param {string} path Settings path, for errors
+ * @throws {Error} On a rate that is not a number between 0 and 1
+ * @returns {Object} Rate per level
+ */
+function getRates(settings, path) {
+  const result = {};
+  Object.keys(settings || {}).forEach((level) => {
+    const rate = settings[level];
+    if (typeof (rate) !== 'number' || rate < 0 || rate > 1) {
+      throw new Error('Invalid sampling rate at ' + path + '.' + level + ': ' + rate);
+    }
+    result[level] = rate;
+  });
+  return result;
+}
+
+/**
+ * Hash of a string: the first 32 bits of its SHA-1
+ * @param {string} value String
+ * @returns {number} Unsigned 32 bit hash
+ */
+function hash(value) {
+  return crypto.createHash('sha1').update(value).digest().readUInt32BE(0);
+}
+
+// Exports
+module.exports.Sampler = Sampler;
@@ -0,0 +1,225 @@
+/**
+ * @fileOverview Safe serialization of log arguments for the Townsville logger
+ * @name serialize.js
+ * @author Matthijs Tempels <matthijs@townsville.nl>
+ * @license Copyright Townsville.nl
+ */
+"use strict";
+
+const { isError, serializeError } = require('./errors');
+const util = require('util');
+
+/* @constant {Object} Default serialize settings */
+const DEFAULT_OPTIONS = {
+  maxDepth: 10,
+  maxArrayLength: 100,
+  maxStringLength: 10000,
+  maxBufferLength: 64,
+  bufferEncoding: 'hex'
+};
+
+
+/**
+ * Fill in defaults for serialize settings
+ * @param {Object} settings Serialize settings (optional)
+ * @throws {Error} On an unknown buffer encoding
+ * @returns {Object} Serialize options
+ */
+function getOptions(settings) {
+  const result = Object.assign({}, DEFAULT_OPTIONS, settings);
+  if (result.bufferEncoding !== 'hex' && result.bufferEncoding !== 'base64') {
+    throw new Error('Unknown buffer encoding: ' + result.bufferEncoding);
+  }
+  return result;
+}
+
+/**
+ * Convert a value to something JSON.stringify can safely handle
+ * Handles circular references, BigInt, Buffer, Map, Set, Date, Errors and
+ * class instances, and applies the depth and length limits.
+ * @param {*} value Value
+ * @param {Object} options Serialize options (see getOptions)
+ * @returns {*} JSON safe value
+ */
+function serialize(value, options) {
+  return walk(value, options || DEFAULT_OPTIONS, new Set(), 0);
+}
+
+
+// ---- Private ----
+
+
+/**
+ * Serialize a value (recursive)
+ * @param {*} value Value
+ * @param {Object} options Serialize options
+ * @param {Set} seen Objects on the current path (cycle guard)
+ * @param {number} depth Nesting depth
+ * @returns {*} JSON safe value
+ */
+function walk(value, options, seen, depth) {
+
+  switch (typeof (value)) {
+  case 'string':
+    return truncate(value, options.maxStringLength);
+  case 'bigint':
+    return value.toString();
+  case 'function':
+    return util.format('[Function: %s]', value.name || 'anonymous');
+  case 'symbol':
+    return value.toString();
+  case 'object':
+    break;
+  default:
+    return value;
+  }
+
+  if (value === null) {
+    return null;
+  }
+  if (Buffer.isBuffer(value)) {
+    return serializeBuffer(value, options);
+  }
+  if (value instanceof Date) {
+    return (isNaN(value.getTime()) ? 'Invalid Date' : value.toISOString());
+  }
+  if (seen.has(value)) {
+    return '[Circular]';
+  }
+  if (depth >= options.maxDepth) {
+    return (Array.isArray(value) ? '[Array]' : '[Object]');
+  }
+
+  seen.add(value);
+  try {
+    return walkObject(value, options, seen, depth);
+  } finally {
+    // Only ancestors count as circular, not shared references
+    seen.delete(value);
+  }
+}
+
+/**
+ * Serialize an object type value
+ * @param {Object} value Value
+ * @param {Object} options Serialize options
+ * @param {Set} seen Objects on the current path (cycle guard)
+ * @param {number} depth Nesting depth
+ * @returns {*} JSON safe value
+ */
+function walkObject(value, options, seen, depth) {
+
+  const next = (entry) => walk(entry, options, seen, depth + 1);
+
+  if (isError(value)) {
+    return next(serializeError(value, false));
+  }
+  if (Array.isArray(value) || value instanceof Set || util.types.isTypedArray(value)) {
+    return walkList(Array.from(value), options, next);
+  }
+  if (value instanceof Map) {
+    const result = {};
+    let count = 0;
+    for (const [key, entry] of value) {
+      if (count++ >= options.maxArrayLength) {
+        result['...'] = util.format('%d more entries', value.size - options.maxArrayLength);
+        break;
+      }
+      result[String(key)] = next(entry);
+    }
+    return result;
+  }
+  if (typeof (value.toJSON) === 'function') {
+    let json;
+    try {
+      json = value.toJSON();
+    } catch (err) {
+      return thrown(err);
+    }
+    return walk(json, options, seen, depth);
+  }
+
+  // Plain objects and class instances: own enumerable properties
+  const result = {};
+  Object.keys(value).forEach((key) => {
+    const entry = next(readProperty(value, key));
+    if (entry !== undefined) {
+      result[key] = entry;
+    }
+  });
+  return result;
+}
+
+/**
+ * Read a property, a getter that throws gives a placeholder
+ * @param {Object} value Object
+ * @param {string} key Property name
+ * @returns {*} Property value or placeholder
+ */
+function readProperty(value, key) {
+  try {
+    return value[key];
+  } catch (err) {
+    return thrown(err);
+  }
+}
+
+/**
+ * Get the placeholder of a value that could not be read
+ * @param {*} err Thrown value
+ * @returns {string} Placeholder
+ */
+function thrown(err) {
+  return util.format('[Thrown: %s]', (isError(err) ? err.message : String(err)));
+}
+
+/**
+ * Serialize list items, up to the max array length
+ * @param {Array} list Items
+ * @param {Object} options Serialize options
+ * @param {function} next Serializer of an item
+ * @returns {Array} Serialized items
+ */
+function walkList(list, options, next) {
+  const result = list.slice(0, options.maxArrayLength).map(next);
+  if (list.length > options.maxArrayLength) {
+    result.push(util.format('... %d more items', list.length - options.maxArrayLength));
+  }
+  return result;
+}
+
+/**
+ * Serialize a Buffer as hex or base64, up to the max buffer length
+ * @param {Buffer} value Buffer
+ * @param {Object} options Serialize options
+ * @returns {Object} Type, length and data
+ */
+function serializeBuffer(value, options) {
+  const result = {
+    type: 'Buffer',
+    length: value.length
+  };
+  result[options.bufferEncoding] = value.slice(0, options.maxBufferLength).toString(options.bufferEncoding);
+  if (value.length > options.maxBufferLength) {
+    result.truncated = true;
+  }
+  return result;
+}
+
+/**
+ * Truncate a string to the max length
+ * @param {string} value String
+ * @param {number} max Max length
+ * @returns {string} (Truncated) string
+ */
+function truncate(value, max) {
+  if (value.length <= max) {
+    return value;
+  }
+  return value.slice(0, max) + util.format('... (%d more characters)', value.length - max);
+}
+
+// Exports
+module.exports.getOptions = getOptions;
+module.exports.serialize = serialize;
+module.exports.readProperty = readProperty;
@@ -0,0 +1,449 @@
+/**
+ * @fileOverview Syslog transport for the Townsville logger
+ * @name syslog.js
+ * @author Matthijs Tempels <matthijs@townsville.nl>
+ * @license Copyright Townsville.nl
+ */
+"use strict";
+
+const dgram = require('dgram');
+const moment = require('moment');
+const net = require('net');
+const os = require('os');
+const { Transport } = require('winston');
+const LEVEL = Symbol.for('level');
+const MESSAGE = Symbol.for('message');
+
+/* @constant {string} Default syslog host */
+const DEFAULT_HOST = 'localhost';
+/* @constant {number} Default syslog port */
+const DEFAULT_PORT = 514;
+/* @constant {string} Default syslog protocol */
+const DEFAULT_PROTOCOL = 'udp4';
+/* @constant {string} Default syslog socket path */
+const DEFAULT_PATH = '/dev/log';
+/* @constant {string} Default syslog facility */
+const DEFAULT_FACILITY = 'local0';
+/* @constant {number} Max number of messages queued while disconnected */
+const DEFAULT_MAX_QUEUE = 1000;
+/* @constant {number} Initial reconnect delay (ms) */
+const RECONNECT_MIN = 100;
+/* @constant {number} Maximum reconnect delay (ms) */
+const RECONNECT_MAX = 30000;
+/* @constant {number} Failed connects in a row that are reported as error */
+const MAX_CONNECT_FAILURES = 3;
+/* @constant {number} Max time to wait for pending messages on end (ms) */
+const FLUSH_TIMEOUT = 2000;
+/* @constant {number} Message types */
+const TYPE_BSD = 0;
+const TYPE_RFC5424 = 1;
+
+/* @constant {Object} Syslog facility codes */
+const FACILITIES = {
+  kern: 0,
+  user: 1,
+  mail: 2,
+  daemon: 3,
+  auth: 4,
+  syslog: 5,
+  lpr: 6,
+  news: 7,
+  uucp: 8,
+  cron: 9,
+  authpriv: 10,
+  ftp: 11,
+  local0: 16,
+  local1: 17,
+  local2: 18,
+  local3: 19,
+  local4: 20,
+  local5: 21,
+  local6: 22,
+  local7: 23
+};
+
+/* @constant {Object} Log level to syslog severity */
+const SEVERITIES = {
+  fatal: 2, // crit
+  error: 3, // err
+  warn: 4, // warning
+  info: 6, // info
+  debug: 7, // debug
+  trace: 7 // debug
+};
+
+/* @constant {Object} Syslog severity names */
+const SEVERITY_NAMES = {
+  emerg: 0,
+  alert: 1,
+  crit: 2,
+  err: 3,
+  warning: 4,
+  notice: 5,
+  info: 6,
+  debug: 7
+};
+
+
+class SyslogTransport extends Transport {
+
+  /**
+   * Create syslog transport
+   * @param {Object} opts Transport options (see README for the syslog block)
+   * @throws {Error} On an unknown protocol, facility or type
+   */
+  constructor(opts) {
+    opts = opts || {};
+    super(opts);
+
+    this.name = 'syslog';
+    this._host = opts.host || DEFAULT_HOST;
+    this._port = parseInt(opts.port, 10) || DEFAULT_PORT;
+    this._protocol = getProtocol(opts.protocol);
+    this._path = opts.path || DEFAULT_PATH;
+    this._facility = getFacility(opts.facility);
+    this._localhost = opts.localhost || os.hostname();
+    this._appName = opts.appName || process.title;
+    this._type = getType(opts.type);
+    this._maxQueue = opts.maxQueue || DEFAULT_MAX_QUEUE;
+    this._severities = getSeverities(opts.severities);
+
+    // Socket state
+    this._socket = undefined;
+    this._connected = false;
+    this._closing = false;
+    this._reconnectDelay = RECONNECT_MIN;
+    this._reconnectTmr = undefined;
+    // Failed connects since the last connection
+    this._failures = 0;
+    // Messages waiting for a (stream) connection
+    this._queue = [];
+    // Number of datagrams not yet acknowledged by the socket
+    this._pending = 0;
+  }
+
+  /**
+   * Log message to syslog
+   * @param {Object} info Winston log info
+   * @param {function} callback Called when handled
+   */
+  log(info, callback) {
+    setImmediate(() => this.emit('logged', info));
+
+    this._send(this._buildMessage(info));
+    callback();
+  }
+
+  /**
+   * Close the transport
+   */
+  close() {
+    this._closing = true;
+    this._dropSocket();
+  }
+
+  /**
+   * Drop the socket when the stream is destroyed
+   * @param {Error} err Error, if any
+   * @param {function} callback Called when done
+   */
+  _destroy(err, callback) {
+    this._closing = true;
+    this._dropSocket();
+    callback(err);
+  }
+
+  /**
+   * Flush pending messages when the stream ends
+   * @param {function} callback Called when done
+   */
+  _final(callback) {
+    const started = Date.now();
+    const check = () => {
+      if ((!this._queue.length && !this._pending) ||
+        Date.now() - started >= FLUSH_TIMEOUT) {
+        this._closing = true;
+        this._endSocket(callback);
+        return;
+      }
+      setTimeout(check, 10);
+    };
+    check();
+  }
+
+
+  // ---- Private ----
+
+
+  /**
+   * Build syslog line from the log info
+   * @param {Object} info Winston log info
+   * @returns {string} Syslog formatted message
+   */
+  _buildMessage(info) {
+    const level = info[LEVEL] || info.level;
+    const severity = (level in this._severities ? this._severities[level] : SEVERITIES.debug);
+    const pri = this._facility * 8 + severity;
+    const message = (info[MESSAGE] !== undefined ? info[MESSAGE] : info.message);
+    const now = moment();
+
+    if (this._type === TYPE_BSD) {
+      // <PRI>Mmm dd hh:mm:ss HOST TAG[PID]: MSG
+      const date = now.format('MMM') + ' ' +
+        now.format('D').padStart(2, ' ') + ' ' + now.format('HH:mm:ss');
+      return `<${pri}>${date} ${this._localhost} ${this._appName}[${process.pid}]: ${message}`;
+    }
+    // <PRI>1 TIMESTAMP HOST APP PROCID MSGID SD MSG
+    return `<${pri}>1 ${now.toISOString()} ${this._localhost} ${this._appName} ${process.pid} - - ${message}`;
+  }
+
+  /**
+   * Send message using the configured protocol
+   * @param {string} message Syslog message
+   */
+  _send(message) {
+    if (this._protocol === 'udp4') {
+      this._sendDatagram(message);
+      return;
+    }
+
+    // Stream protocols use newline framing
+    this._queue.push(message + '\n');
+    if (this._queue.length > this._maxQueue) {
+      this._queue.shift();
+    }
+    if (this._connected) {
+      this._flushQueue();
+    } else {
+      this._connect();
+    }
+  }
+
+  /**
+   * Send message as udp datagram
+   * @param {string} message Syslog message
+   */
+  _sendDatagram(message) {
+    if (!this._socket) {
+      this._socket = dgram.createSocket('udp4');
+      this._socket.on('error', () => this._dropSocket());
+      this._socket.unref();
+    }
+
+    const buf = Buffer.from(message);
+    this._pending++;
+    this._socket.send(buf, 0, buf.length, this._port, this._host, (err) => {
+      this._pending--;
+      if (err) {
+        // Socket is recreated on the next message
+        this._dropSocket();
+      }
+    });
+  }
+
+  /**
+   * Connect stream socket (tcp4, unix, unix-connect)
+   */
+  _connect() {
+    if (this._socket || this._reconnectTmr) {
+      return;
+    }
+
+    const opts = (this._protocol === 'tcp4' ?
+      { host: this._host, port: this._port, family: 4 } :
+      { path: this._path });
+
+    const socket = net.connect(opts);
+    this._socket = socket;
+    socket.unref();
+
+    let connected = false;
+    let error;
+    socket.on('connect', () => {
+      connected = true;
+      this._connected = true;
+      this._failures = 0;
+      this._reconnectDelay = RECONNECT_MIN;
+      this._flushQueue();
+    });
+    // Errors are followed by close, which handles the reconnect
+    socket.on('error', (err) => {
+      error = err;
+    });
+    socket.on('close', () => {
+      if (this._socket !== socket) {
+        return;
+      }
+      this._socket = undefined;
+      this._connected = false;
+      // Reported once, messages stay queued while reconnecting
+      if (!connected && ++this._failures === MAX_CONNECT_FAILURES) {
+        this.emit('error', error || new Error('Cannot connect to syslog'));
+      }
+      this._scheduleReconnect();
+    });
+  }
+
+  /**
+   * Schedule reconnect with exponential backoff
+   */
+  _scheduleReconnect() {
+    if (this._closing || this._reconnectTmr) {
+      return;
+    }
+
+    this._reconnectTmr = setTimeout(() => {
+      this._reconnectTmr = undefined;
+      this._connect();
+    }, this._reconnectDelay);
+    this._reconnectTmr.unref();
+    this._reconnectDelay = Math.min(this._reconnectDelay * 2, RECONNECT_MAX);
+  }
+
+  /**
+   * Write queued messages to the connected socket
+   */
+  _flushQueue() {
+    while (this._queue.length && this._connected) {
+      this._socket.write(this._queue.shift());
+    }
+  }
+
+  /**
+   * Gracefully end the socket
+   * @param {function} callback Called when done
+   */
+  _endSocket(callback) {
+    clearTimeout(this._reconnectTmr);
+    this._reconnectTmr = undefined;
+
+    const socket = this._socket;
+    this._socket = undefined;
+    this._connected = false;
+
+    if (!socket) {
+      callback();
+    } else if (this._protocol === 'udp4') {
+      socket.close(() => callback());
+    } else {
+      socket.end(() => callback());
+    }
+  }
+
+  /**
+   * Destroy socket without flushing
+   */
+  _dropSocket() {
+    if (this._closing) {
+      clearTimeout(this._reconnectTmr);
+      this._reconnectTmr = undefined;
+    }
+
+    const socket = this._socket;
+    this._socket = undefined;
+    this._connected = false;
+
+    if (!socket) {
+      return;
+    }
+    if (this._protocol === 'udp4') {
+      try {
+        socket.close();
+      } catch (err) {
+        // Already closed
+      }
+    } else {
+      socket.destroy();
+    }
+  }
+}
+
+
+/**
+ * Validate protocol setting
+ * @param {string} value Protocol
+ * @throws {Error} On an unknown protocol
+ * @returns {string} Protocol
+ */
+function getProtocol(value) {
+  const protocol = (value || DEFAULT_PROTOCOL).toLowerCase();
+  switch (protocol) {
+  case 'udp4':
+  case 'tcp4':
+  case 'unix':
+  case 'unix-connect':
+    return protocol;
+  default:
+    throw new Error('Unknown syslog protocol: ' + value);
+  }
+}
+
+/**
+ * Translate facility name to its code
+ * @param {string} value Facility name
+ * @throws {Error} On an unknown facility
+ * @returns {number} Facility code
+ */
+function getFacility(value) {
+  const facility = (value || DEFAULT_FACILITY).toLowerCase();
+  if (!(facility in FACILITIES)) {
+    throw new Error('Unknown syslog facility: ' + value);
+  }
+  return FACILITIES[facility];
+}
+
+/**
+ * Translate syslog severity name or number to its code
+ * @param {string|number} value Severity name (emerg .. debug) or code (0 .. 7)
+ * @throws {Error} On an unknown severity
+ * @returns {number} Severity code
+ */
+function getSeverity(value) {
+  if (typeof (value) === 'number' && Number.isInteger(value) && value >= 0 && value <= 7) {
+    return value;
+  }
+  const severity = String(value).toLowerCase();
+  if (!Object.prototype.hasOwnProperty.call(SEVERITY_NAMES, severity)) {
+    throw new Error('Unknown syslog severity: ' + value);
+  }
+  return SEVERITY_NAMES[severity];
+}
+
+/**
+ * Get the severity per log level
+ * @param {Object} value Extra (custom) levels with their severity
+ * @throws {Error} On an unknown severity
+ * @returns {Object} Severity code per log level
+ */
+function getSeverities(value) {
+  const result = Object.assign({}, SEVERITIES);
+  Object.keys(value || {}).forEach((level) => {
+    result[level] = getSeverity(value[level]);
+  });
+  return result;
+}
+
+/**
+ * Translate message type
+ * @param {string} value BSD, RFC5424 (or RFC5425)
+ * @throws {Error} On an unknown type
+ * @returns {number} Message type
+ */
+function getType(value) {
+  switch ((value || 'RFC5424').toUpperCase()) {
+  case 'BSD':
+  case 'RFC3164':
+    return TYPE_BSD;
+  case 'RFC5424':
+  case 'RFC5425':
+    return TYPE_RFC5424;
+  default:
+    throw new Error('Unknown syslog type: ' + value);
+  }
+}
+
+// Exports
+module.exports.SyslogTransport = SyslogTransport;
+module.exports.FACILITIES = FACILITIES;
+module.exports.SEVERITIES = SEVERITIES;
+module.exports.getSeverity = getSeverity;
@@ -0,0 +1,408 @@
+/**
+ * @fileOverview Validation of the Townsville logger settings
+ * @name validate.js
+ * @author Matthijs Tempels <matthijs@townsville.nl>
+ * @license Copyright Townsville.nl
+ */
+"use strict";
+
+const { FACILITIES, getSeverity } = require('./syslog');
+const util = require('util');
+
+/* @constant {string} Root of the setting paths in problems */
+const ROOT = 'logSettings';
+
+
+// ---- Value types ----
+
+
+/**
+ * Get a type checked by a test function
+ * @param {string} expected Description, for problems
+ * @param {function} test Returns true for a valid value
+ * @returns {Object} Type
+ */
+function simple(expected, test) {
+  return {
+    expected: expected,
+    accepts: test,
+    check: (value, path, ctx, problems) => {
+      if (!test(value)) {
+        problems.push(mismatch(path, expected, value));
+      }
+    }
+  };
+}
+
+/**
+ * Get a type of one of the given (case insensitive) strings
+ * @param {Array} values Valid values
+ * @returns {Object} Type
+ */
+function oneOfValues(values) {
+  return simple('one of ' + values.join(', '), (value) =>
+    typeof (value) === 'string' && values.indexOf(value.toLowerCase()) >= 0);
+}
+
+/**
+ * Get a type matching the first of the given types that accepts the value
+ * @param {...Object} types Types
+ * @returns {Object} Type
+ */
+function oneOf(...types) {
+  const expected = types.map((type) => type.expected).join(' or ');
+  return {
+    expected: expected,
+    accepts: (value) => types.some((type) => type.accepts(value)),
+    check: (value, path, ctx, problems) => {
+      const type = types.find((entry) => entry.accepts(value));
+      if (!type) {
+        problems.push(mismatch(path, expected, value));
+        return;
+      }
+      type.check(value, path, ctx, problems);
+    }
+  };
+}
+
+/**
+ * Get an object type with known keys
+ * @param {Object} fields Type per key
+ * @param {function} other Optional, called with (key, ctx) for other keys,
+ *   returns their type (undefined if unknown)
+ * @returns {Object} Type
+ */
+function object(fields, other) {
+  return {
+    expected: 'an object',
+    fields: fields,
+    accepts: isObject,
+    check: (value, path, ctx, problems) => {
+      if (!isObject(value)) {
+        problems.push(mismatch(path, 'an object', value));
+        return;
+      }
+      Object.keys(value).filter((key) => value[key] !== undefined).forEach((key) => {
+        const type = (Object.prototype.hasOwnProperty.call(fields, key) ?
+          fields[key] : (other ? other(key, ctx) : undefined));
+        if (!type) {
+          problems.push(path + '.' + key + ': unknown setting');
+          return;
+        }
+        type.check(value[key], path + '.' + key, ctx, problems);
+      });
+    }
+  };
+}
+
+/**
+ * Get an object type with free keys and values of one type
+ * @param {Object} type Value type
+ * @param {boolean} levelKeys True if the keys are level names
+ * @returns {Object} Type
+ */
+function mapOf(type, levelKeys) {
+  return object({}, (key, ctx) => (!levelKeys || isLevel(key, ctx) ? type : UNKNOWN_LEVEL));
+}
+
+/**
+ * Get an array type
+ * @param {Object} type Element type
+ * @returns {Object} Type
+ */
+function arrayOf(type) {
+  return {
+    expected: 'a list',
+    accepts: Array.isArray,
+    check: (value, path, ctx, problems) => {
+      if (!Array.isArray(value)) {
+        problems.push(mismatch(path, 'a list', value));
+        return;
+      }
+      value.forEach((entry, index) => type.check(entry, path + '[' + index + ']', ctx, problems));
+    }
+  };
+}
+
+/**
+ * Get a type that can also be true (defaults) or false (off)
+ * @param {Object} type Type
+ * @returns {Object} Type
+ */
+function switchable(type) {
+  return oneOf(FLAG, type);
+}
+
+/**
+ * Get a type of a single value or a list of them
+ * @param {Object} type Value type
+ * @returns {Object} Type
+ */
+function listOf(type) {
+  return oneOf(arrayOf(type), type);
+}
+
+
+/* @constant {Object} Any value */
+const ANY = simple('anything', () => true);
+/* @constant {Object} String */
+const STRING = simple('a string', (value) => typeof (value) === 'string');
+/* @constant {Object} Non-negative number */
+const NUMBER = simple('a non-negative number', (value) =>
+  typeof (value) === 'number' && isFinite(value) && value >= 0);
+/* @constant {Object} Non-negative integer */
+const INTEGER = simple('a non-negative integer', (value) =>
+  Number.isInteger(value) && value >= 0);
+/* @constant {Object} Boolean, "true" or "false" */
+const FLAG = simple('true or false', (value) =>
+  typeof (value) === 'boolean' || (typeof (value) === 'string' && /^(true|false)$/i.test(value)));
+/* @constant {Object} Function */
+const FUNCTION = simple('a function', (value) => typeof (value) === 'function');
+/* @constant {Object} Regular expression (or its source) */
+const PATTERN = simple('a regular expression', (value) =>
+  typeof (value) === 'string' || value instanceof RegExp);
+/* @constant {Object} Sampling rate */
+const RATE = simple('a number between 0 and 1', (value) =>
+  typeof (value) === 'number' && value >= 0 && value <= 1);
+/* @constant {Object} Syslog severity name or code */
+const SEVERITY = simple('a syslog severity', (value) => {
+  try {
+    getSeverity(value);
+    return true;
+  } catch (err) {
+    return false;
+  }
+});
+/* @constant {Object} Level name (built-in or custom) */
+const LEVEL = {
+  expected: 'a level name',
+  accepts: (value) => typeof (value) === 'string',
+  check: (value, path, ctx, problems) => {
+    if (typeof (value) !== 'string') {
+      problems.push(mismatch(path, 'a level name', value));
+    } else if (!isLevel(value, ctx)) {
+      problems.push(path + ': unknown level ' + describe(value));
+    }
+  }
+};
+/* @constant {Object} Key that should have been a level name */
+const UNKNOWN_LEVEL = {
+  expected: 'a level name',
+  accepts: () => false,
+  check: (value, path, ctx, problems) => {
+    problems.push(path + ': unknown level ' + describe(path.slice(path.lastIndexOf('.') + 1)));
+  }
+};
+
+
+// ---- Settings schema ----
+
+
+/* @constant {Object} Module filter of a transport */
+const MODULES = oneOf(arrayOf(STRING), object({
+  include: listOf(STRING),
+  exclude: listOf(STRING)
+}));
+
+/* @constant {Object} Settings of every transport */
+const TRANSPORT = {
+  level: LEVEL,
+  modules: MODULES
+};
+
+/* @constant {Object} Output format settings */
+const OUTPUT = {
+  format: oneOfValues(['text', 'json']),
+  timestamp: oneOf(FLAG, FUNCTION),
+  colorize: FLAG
+};
+
+/* @constant {Object} Process error handling */
+const PROCESS_ERRORS = switchable(object({
+  exitCode: INTEGER,
+  rethrow: FLAG,
+  timeoutMs: NUMBER
+}));
+
+/* @constant {Object} Rate limits */
+const RATE_LIMITS = {
+  lines: INTEGER,
+  interval: NUMBER,
+  suppressDuplicates: FLAG
+};
+
+/* @constant {Object} File settings */
+const FILE = object(Object.assign({
+  path: STRING,
+  rollingFile: switchable(object({
+    maxSize: INTEGER,
+    maxFiles: INTEGER,
+    tailable: FLAG
+  })),
+  rotate: switchable(object({
+    frequency: oneOfValues(['daily', 'hourly']),
+    datePattern: STRING,
+    compress: FLAG,
+    maxFiles: INTEGER,
+    maxAgeDays: NUMBER
+  })),
+  buffer: switchable(object({
+    batchSize: INTEGER,
+    flushInterval: NUMBER,
+    maxQueue: INTEGER,
+    overflow: oneOfValues(['drop-oldest', 'drop-newest', 'block'])
+  }))
+}, TRANSPORT, OUTPUT));
+
+/* @constant {Object} Logger settings, registered transports are added by name */
+const SETTINGS = object({
+  name: STRING,
+  showName: oneOf(FLAG, oneOfValues(['full', 'simple', 'none'])),
+  showPid: FLAG,
+  level: LEVEL,
+  levels: mapOf(LEVEL),
+  customLevels: mapOf(object({
+    value: INTEGER,
+    color: STRING,
+    severity: SEVERITY
+  })),
+  stackLevel: LEVEL,
+  validate: oneOfValues(['strict', 'lenient', 'off']),
+  redact: object({
+    paths: listOf(STRING),
+    patterns: listOf(PATTERN),
+    mask: oneOfValues(['replace', 'partial', 'hash']),
+    replacement: STRING,
+    keep: INTEGER,
+    hashKey: STRING
+  }),
+  serialize: object({
+    maxDepth: INTEGER,
+    maxArrayLength: INTEGER,
+    maxStringLength: INTEGER,
+    maxBufferLength: INTEGER,
+    bufferEncoding: oneOfValues(['hex', 'base64'])
+  }),
+  rateLimit: object(Object.assign({
+    modules: mapOf(object(RATE_LIMITS))
+  }, RATE_LIMITS)),
+  sampling: object({
+    key: STRING,
+    levels: mapOf(RATE, true),
+    modules: mapOf(mapOf(RATE, true))
+  }),
+  shutdown: switchable(object({
+    signals: listOf(STRING),
+    beforeExit: FLAG,
+    timeoutMs: NUMBER
+  })),
+  handleExceptions: PROCESS_ERRORS,
+  handleRejections: PROCESS_ERRORS,
+  handleWarnings: FLAG,
+  processLogger: STRING,
+  console: switchable(object(Object.assign({}, TRANSPORT, OUTPUT))),
+  file: listOf(switchable(FILE)),
+  syslog: switchable(object(Object.assign({
+    host: STRING,
+    port: oneOf(INTEGER, STRING),
+    protocol: oneOfValues(['udp4', 'tcp4', 'unix', 'unix-connect']),
+    path: STRING,
+    facility: oneOfValues(Object.keys(FACILITIES)),
+    localhost: STRING,
+    type: oneOfValues(['bsd', 'rfc5424', 'rfc5425']),
+    maxQueue: INTEGER,
+    format: OUTPUT.format
+  }, TRANSPORT))),
+  http: object(Object.assign({
+    url: STRING,
+    headers: mapOf(STRING),
+    batchSize: INTEGER,
+    flushInterval: NUMBER,
+    gzip: FLAG,
+    timeoutMs: NUMBER,
+    retry: object({
+      minDelay: NUMBER,
+      maxDelay: NUMBER
+    }),
+    spool: object({
+      path: STRING,
+      maxBytes: INTEGER
+    }),
+    timestamp: OUTPUT.timestamp
+  }, TRANSPORT)),
+  memory: switchable(object(Object.assign({
+    size: INTEGER,
+    dumpOnError: switchable(object({
+      level: LEVEL
+    }))
+  }, TRANSPORT, OUTPUT)))
+}, (key, ctx) => (ctx.transports.indexOf(key) >= 0 ? ANY : undefined));
+
+/* @constant {Array} Settings keys of the logger itself and its built-in transports */
+const SETTINGS_KEYS = Object.keys(SETTINGS.fields);
+
+
+/**
+ * Validate logger settings
+ * @param {Object} settings Object holding the log settings
+ * @param {Object} options Built-in level names (levels) and the names of the
+ *   registered transports (transports), their settings are not checked
+ * @returns {Array} Problems, each starting with the setting path
+ */
+function validateSettings(settings, options) {
+
+  const customLevels = (isObject(settings) && isObject(settings.customLevels) ?
+    Object.keys(settings.customLevels) : []);
+  const ctx = {
+    levels: options.levels.concat(customLevels),
+    transports: options.transports || []
+  };
+  const problems = [];
+  SETTINGS.check(settings, ROOT, ctx, problems);
+  return problems;
+}
+
+
+/**
+ * Check if a value is a plain object
+ * @param {*} value Value
+ * @returns {boolean} True if so
+ */
+function isObject(value) {
+  return (value !== null && typeof (value) === 'object' && !Array.isArray(value));
+}
+
+/**
+ * Check if a name is a known level
+ * @param {string} value Level name
+ * @param {Object} ctx Validation context
+ * @returns {boolean} True if known
+ */
+function isLevel(value, ctx) {
+  return (ctx.levels.indexOf(value.toLowerCase()) >= 0);
+}
+
+/**
+ * Describe a value for a problem
+ * @param {*} value Value
+ * @returns {string} Description
+ */
+function describe(value) {
+  return (typeof (value) === 'string' ? JSON.stringify(value) :
+    util.inspect(value, { depth: 0, breakLength: Infinity }));
+}
+
+/**
+ * Get the problem of a value of the wrong type
+ * @param {string} path Setting path
+ * @param {string} expected Expected type
+ * @param {*} value Value
+ * @returns {string} Problem
+ */
+function mismatch(path, expected, value) {
+  return path + ': expected ' + expected + ', got ' + describe(value);
+}
+
+// Exports
+module.exports.validateSettings = validateSettings;
+module.exports.SETTINGS_KEYS = SETTINGS_KEYS;
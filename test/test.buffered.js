@@ -0,0 +1,238 @@
+/**
+ * @fileOverview Test the buffered file transport
+ * @name test.buffered.js
+ * @author Matthijs Tempels <matthijs@townsville.nl>
+ * @license Copyright Townsville.nl
+ */
+
+"use strict";
+
+const assert = require('assert');
+const { execFile } = require('child_process');
+const fs = require('fs');
+const logger = require('../lib/index');
+const path = require('path');
+
+
+// Log file to use
+const LOG_FILE = '/tmp/cs_logger_buffered.log';
+// Number of lines of the benchmark
+const BENCH_LINES = 20000;
+// Logger module path, for the child process
+const LOGGER_PATH = path.resolve(__dirname, '../lib/index');
+
+
+/**
+ * Helper to init a file logger
+ * @param {Object} buffer Buffer settings (optional)
+ */
+function initLogger(buffer) {
+  logger.deinit();
+  logger.init({
+    validate: 'off',
+    file: {
+      path: LOG_FILE,
+      timestamp: false,
+      buffer: buffer
+    }
+  });
+}
+
+/**
+ * Helper to read the logged lines
+ * @returns {Array} Lines
+ */
+function readLines() {
+  return fs.readFileSync(LOG_FILE, 'utf8').split('\n').filter((line) => line);
+}
+
+/**
+ * Helper to get the expected lines
+ * @param {number} from First line number
+ * @param {number} to Line number after the last
+ * @returns {Array} Lines
+ */
+function expectLines(from, to) {
+  const result = [];
+  for (let i = from; i < to; i++) {
+    result.push('info: line ' + i);
+  }
+  return result;
+}
+
+/**
+ * Helper to log lines and measure the time until they are written
+ * @param {Object} buffer Buffer settings (optional)
+ * @param {function} callback Called with the lines per second
+ */
+function bench(buffer, callback) {
+  initLogger(buffer);
+  const inst = logger.createLogger('bench');
+  const started = process.hrtime.bigint();
+  for (let i = 0; i < BENCH_LINES; i++) {
+    inst.info('line %d', i);
+  }
+  logger.end(() => {
+    const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+    assert.equal(readLines().length, BENCH_LINES);
+    fs.unlinkSync(LOG_FILE);
+    callback(Math.round(BENCH_LINES / seconds));
+  });
+}
+
+
+describe('The buffered file transport', () => {
+
+  beforeEach(() => {
+    if (fs.existsSync(LOG_FILE)) {
+      fs.unlinkSync(LOG_FILE);
+    }
+  });
+
+  afterEach(() => {
+    logger.deinit();
+  });
+
+  it('writes all lines in order before end calls back', (done) => {
+
+    initLogger({
+      batchSize: 100,
+      flushInterval: 60000
+    });
+
+    const inst = logger.createLogger('mymodule');
+    for (let i = 0; i < 250; i++) {
+      inst.info('line %d', i);
+    }
+
+    logger.end(() => {
+      assert.deepEqual(readLines(), expectLines(0, 250));
+      done();
+    });
+  });
+
+  it('writes fatal lines immediately', (done) => {
+
+    initLogger({
+      flushInterval: 60000
+    });
+
+    const inst = logger.createLogger('mymodule');
+    inst.info('line %d', 0);
+    assert.equal(fs.readFileSync(LOG_FILE, 'utf8'), '');
+    inst.fatal('crash');
+    assert.equal(fs.readFileSync(LOG_FILE, 'utf8'), 'info: line 0\nfatal: crash\n');
+
+    logger.end(done);
+  });
+
+  it('appends to lines of other writers', (done) => {
+
+    initLogger({
+      batchSize: 2,
+      flushInterval: 60000
+    });
+
+    const inst = logger.createLogger('mymodule');
+    inst.info('line %d', 0);
+    fs.appendFileSync(LOG_FILE, 'other 0\n');
+    inst.info('line %d', 1);
+    // Written after the batch taken before it
+    inst.fatal('crash');
+
+    logger.end(() => {
+      assert.deepEqual(readLines(), ['other 0', 'info: line 0', 'info: line 1', 'fatal: crash']);
+      done();
+    });
+  });
+
+  it('writes a fatal line and the batch before it when the process exits', (done) => {
+
+    const source =
+      'const logger = require(' + JSON.stringify(LOGGER_PATH) + ');\n' +
+      'logger.init({ file: { path: ' + JSON.stringify(LOG_FILE) + ', timestamp: false, ' +
+      'buffer: { batchSize: 10, flushInterval: 60000 } } });\n' +
+      'const inst = logger.createLogger("mymodule");\n' +
+      'for (let i = 0; i < 10; i++) { inst.info("line %d", i); }\n' +
+      'inst.fatal("crash");\n' +
+      'process.exit(1);\n';
+    execFile(process.execPath, ['-e', source], (err) => {
+      assert.equal(err.code, 1);
+      assert.deepEqual(readLines(), expectLines(0, 10).concat(['fatal: crash']));
+      done();
+    });
+  });
+
+  it('keeps the queue bounded with the block policy', (done) => {
+
+    initLogger({
+      batchSize: 10,
+      maxQueue: 20,
+      overflow: 'block'
+    });
+
+    const inst = logger.createLogger('mymodule');
+    for (let i = 0; i < 1000; i++) {
+      inst.info('line %d', i);
+    }
+    // At most a batch and a full queue are not written yet
+    assert.ok(readLines().length >= 970, 'written: ' + readLines().length);
+
+    logger.end(() => {
+      assert.deepEqual(readLines(), expectLines(0, 1000));
+      done();
+    });
+  });
+
+  it('applies the overflow policy', (done) => {
+
+    const policies = {
+      'drop-newest': expectLines(0, 30),
+      'drop-oldest': expectLines(0, 10).concat(expectLines(80, 100)),
+      'block': expectLines(0, 100)
+    };
+
+    const next = (names) => {
+      if (!names.length) {
+        done();
+        return;
+      }
+      initLogger({
+        batchSize: 10,
+        maxQueue: 20,
+        overflow: names[0]
+      });
+
+      // The first batch is taken while the others are queued
+      const inst = logger.createLogger('mymodule');
+      for (let i = 0; i < 100; i++) {
+        inst.info('line %d', i);
+      }
+
+      logger.end(() => {
+        assert.deepEqual(readLines(), policies[names[0]], names[0]);
+        fs.unlinkSync(LOG_FILE);
+        next(names.slice(1));
+      });
+    };
+    next(Object.keys(policies));
+  });
+
+  it('rejects invalid settings', () => {
+
+    assert.throws(() => initLogger({ overflow: 'wait' }), /Unknown buffer overflow policy: wait/);
+    assert.throws(() => logger.init({ file: { path: LOG_FILE, buffer: true, rotate: {} } }),
+      /A buffered file cannot be rotated/);
+  });
+
+  it('benchmark: compares throughput with the direct file transport', function (done) {
+
+    this.timeout(60000);
+    bench(undefined, (direct) => {
+      bench({ maxQueue: BENCH_LINES }, (buffered) => {
+        console.log('        direct: %d lines/s, buffered: %d lines/s', direct, buffered);
+        done();
+      });
+    });
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * @fileOverview Test capturing log lines in unit tests
+ * @name test.capture.js
+ * @author Matthijs Tempels <matthijs@townsville.nl>
+ * @license Copyright Townsville.nl
+ */
+
+"use strict";
+
+const assert = require('assert');
+const fs = require('fs');
+const logger = require('../lib/index');
+
+
+// Log file to use
+const LOG_FILE = '/tmp/cs_logger_capture.log';
+
+
+describe('The log capture', () => {
+
+  afterEach(() => {
+    logger.deinit();
+    if (fs.existsSync(LOG_FILE)) {
+      fs.unlinkSync(LOG_FILE);
+    }
+  });
+
+  it('records lines without init and restores the uninitialized state', () => {
+
+    const cap = logger.capture();
+    const db = logger.createLogger('db.pool').child({ host: 'a' });
+    db.trace('connecting');
+    db.error('query %s failed: %s', 'q1', 'timeout', { ms: 100 });
+
+    assert.equal(cap.records.length, 2);
+    const record = cap.expectLogged({ level: 'error', module: 'db', match: /timeout/ });
+    assert.equal(record.module, 'db.pool');
+    assert.equal(record.message, 'query q1 failed: timeout {"ms":100}');
+    assert.deepEqual(record.args, ['q1', 'timeout', { ms: 100 }]);
+    assert.deepEqual(record.fields, { host: 'a' });
+    cap.expectLogged({ match: 'connecting', fields: { host: 'a' } });
+    cap.expectNotLogged({ level: 'warn' });
+
+    assert.throws(() => cap.expectLogged({ module: 'http' }),
+      (err) => err instanceof assert.AssertionError &&
+        /Expected a log line matching \{ module: 'http' \}, got:\n {2}trace: \[db.pool\] connecting/.test(err.message));
+    assert.throws(() => cap.expectNotLogged({ level: 'error' }), /Expected no log line matching/);
+
+    cap.clear();
+    assert.equal(cap.find().length, 0);
+
+    cap.restore();
+    assert.throws(() => db.info('gone'), /Log system is not initialized/);
+  });
+
+  it('captures below the configured level and leaves the transports as they were', (done) => {
+
+    logger.deinit();
+    logger.init({
+      level: 'info',
+      file: {
+        path: LOG_FILE,
+        timestamp: false
+      }
+    });
+
+    const inst = logger.createLogger('mymodule');
+    const cap = logger.capture({ level: 'debug' });
+    inst.debug('captured only');
+    inst.trace('not at all');
+    inst.info('both');
+    cap.restore();
+    inst.debug('after restore');
+    inst.info('file only');
+
+    assert.deepEqual(cap.records.map((record) => record.message), ['captured only', 'both']);
+    assert.equal(inst.isDebug(), false);
+
+    logger.end(() => {
+      assert.equal(fs.readFileSync(LOG_FILE, 'utf8'), 'info: both\ninfo: file only\n');
+      done();
+    });
+  });
+});
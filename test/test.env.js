@@ -0,0 +1,155 @@
+/**
+ * @fileOverview Test environment variable overrides
+ * @name test.env.js
+ * @author Matthijs Tempels <matthijs@townsville.nl>
+ * @license Copyright Townsville.nl
+ */
+
+"use strict";
+
+const assert = require('assert');
+const { applyEnv } = require('../lib/env');
+const fs = require('fs');
+const logger = require('../lib/index');
+
+
+// Log files to use
+const LOG_FILE = '/tmp/cs_logger_env.log';
+const ENV_LOG_FILE = '/tmp/cs_logger_env_override.log';
+// Variables set by the tests
+const ENV_NAMES = ['TOWNSVILLE_LOG_LEVEL', 'TOWNSVILLE_LOG_LEVELS', 'TOWNSVILLE_LOG_FORMAT', 'TOWNSVILLE_LOG_FILE'];
+
+
+describe('The environment overrides', () => {
+
+  afterEach(() => {
+    logger.deinit();
+    ENV_NAMES.forEach((name) => delete process.env[name]);
+    [LOG_FILE, ENV_LOG_FILE].filter((file) => fs.existsSync(file)).forEach((file) => fs.unlinkSync(file));
+  });
+
+  it('override the matching settings', () => {
+
+    const settings = {
+      level: 'info',
+      levels: { db: 'debug', api: 'warn' },
+      console: true,
+      file: [{ path: LOG_FILE, format: 'text' }, { path: '/tmp/other.log' }],
+      syslog: false
+    };
+    const result = applyEnv(settings, {
+      TOWNSVILLE_LOG_LEVEL: 'debug',
+      TOWNSVILLE_LOG_LEVELS: 'db=trace, http = warn,',
+      TOWNSVILLE_LOG_FORMAT: 'json',
+      TOWNSVILLE_LOG_FILE: ENV_LOG_FILE
+    });
+
+    assert.deepEqual(result, {
+      level: 'debug',
+      levels: { db: 'trace', api: 'warn', http: 'warn' },
+      console: { format: 'json' },
+      file: [{ path: ENV_LOG_FILE, format: 'json' }, { path: '/tmp/other.log', format: 'json' }],
+      syslog: false
+    });
+    // The settings themselves are left alone
+    assert.equal(settings.level, 'info');
+    assert.deepEqual(settings.file[0], { path: LOG_FILE, format: 'text' });
+
+    assert.deepEqual(applyEnv({ level: 'info' }, { TOWNSVILLE_LOG_LEVEL: '', TOWNSVILLE_LOG_FILE: LOG_FILE }),
+      { level: 'info', file: { path: LOG_FILE } });
+    const problems = [];
+    assert.deepEqual(applyEnv({}, { TOWNSVILLE_LOG_LEVELS: 'db=trace,http,=warn' }, problems),
+      { levels: { db: 'trace' } });
+    assert.deepEqual(problems, [
+      'TOWNSVILLE_LOG_LEVELS: expected name=level, got "http"',
+      'TOWNSVILLE_LOG_LEVELS: expected name=level, got "=warn"'
+    ]);
+  });
+
+  it('report invalid module levels like other settings problems', () => {
+
+    const warn = console.warn;
+    const warnings = [];
+    console.warn = (message) => warnings.push(message);
+    process.env.TOWNSVILLE_LOG_LEVELS = 'db=trace,http';
+    try {
+      logger.init({ level: 'info' });
+      assert.deepEqual(warnings, ['Invalid log settings:\n' +
+        '  TOWNSVILLE_LOG_LEVELS: expected name=level, got "http"']);
+      assert.equal(logger.createLogger('db').isTrace(), true);
+    } finally {
+      console.warn = warn;
+    }
+
+    logger.deinit();
+    assert.throws(() => logger.init({ validate: 'strict' }),
+      /Invalid log settings:\n {2}TOWNSVILLE_LOG_LEVELS: expected name=level, got "http"/);
+  });
+
+  it('are applied by init and shown by getEffectiveSettings', (done) => {
+
+    assert.equal(logger.getEffectiveSettings(), undefined);
+
+    process.env.TOWNSVILLE_LOG_LEVELS = 'db=trace';
+    process.env.TOWNSVILLE_LOG_FORMAT = 'json';
+    process.env.TOWNSVILLE_LOG_FILE = ENV_LOG_FILE;
+    logger.init({
+      name: 'envtest',
+      level: 'info',
+      file: {
+        path: LOG_FILE,
+        timestamp: false
+      }
+    });
+
+    const effective = logger.getEffectiveSettings();
+    assert.deepEqual(effective, {
+      name: 'envtest',
+      level: 'info',
+      showName: false,
+      showPid: false,
+      stackLevel: 'trace',
+      validate: 'lenient',
+      levels: { db: 'trace' },
+      file: {
+        path: ENV_LOG_FILE,
+        timestamp: false,
+        format: 'json'
+      }
+    });
+    // A copy
+    effective.file.path = LOG_FILE;
+    assert.equal(logger.getEffectiveSettings().file.path, ENV_LOG_FILE);
+
+    logger.createLogger('db').trace('query');
+    logger.createLogger('api').debug('skipped');
+
+    logger.end(() => {
+      assert.equal(fs.existsSync(LOG_FILE), false);
+      const lines = fs.readFileSync(ENV_LOG_FILE, 'utf8').trim().split('\n').map((line) => JSON.parse(line));
+      assert.equal(lines.length, 1);
+      assert.equal(lines[0].module, 'db');
+      assert.equal(lines[0].msg, 'query');
+      done();
+    });
+  });
+
+  it('are applied on reconfigure and to the defaults', () => {
+
+    process.env.TOWNSVILLE_LOG_LEVEL = 'warn';
+    logger.init();
+    assert.equal(logger.getEffectiveSettings().level, 'warn');
+    assert.equal(typeof (logger.getEffectiveSettings().console.timestamp), 'function');
+    assert.equal(logger.createLogger('mymodule').isInfo(), false);
+
+    process.env.TOWNSVILLE_LOG_LEVEL = 'debug';
+    logger.reconfigure({ level: 'info' });
+    assert.equal(logger.getEffectiveSettings().level, 'debug');
+    assert.equal(logger.createLogger('mymodule').isDebug(), true);
+
+    // The built-in default when neither gives one
+    delete process.env.TOWNSVILLE_LOG_LEVEL;
+    logger.reconfigure({ console: true });
+    assert.equal(logger.getEffectiveSettings().level, 'info');
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * @fileOverview Test error rendering
+ * @name test.errors.js
+ * @author Matthijs Tempels <matthijs@townsville.nl>
+ * @license Copyright Townsville.nl
+ */
+
+"use strict";
+/* global AggregateError */
+
+const assert = require('assert');
+const errors = require('../lib/errors');
+const fs = require('fs');
+const logger = require('../lib/index');
+
+
+// Log file to use
+const LOG_FILE = '/tmp/cs_logger_errors.log';
+
+
+/**
+ * Helper to create an error with a cause chain
+ * @returns {Error} Error
+ */
+function createError() {
+  const inner = new TypeError('inner');
+  inner.code = 'E_INNER';
+  const outer = new Error('outer', { cause: inner });
+  return outer;
+}
+
+
+describe('The error rendering', () => {
+
+  afterEach(() => {
+    logger.deinit();
+    if (fs.existsSync(LOG_FILE)) {
+      fs.unlinkSync(LOG_FILE);
+    }
+  });
+
+  it('serializes errors with causes and aggregated errors', () => {
+
+    const err = new AggregateError([createError(), 'not an error'], 'all failed');
+    const result = errors.serializeError(err, true);
+
+    assert.equal(result.name, 'AggregateError');
+    assert.equal(result.message, 'all failed');
+    assert(/^AggregateError: all failed\n\s+at /.test(result.stack));
+    assert.equal(result.errors.length, 2);
+    assert.equal(result.errors[0].message, 'outer');
+    assert.equal(result.errors[0].cause.name, 'TypeError');
+    assert.equal(result.errors[0].cause.code, 'E_INNER');
+    assert.equal(result.errors[1], 'not an error');
+
+    // Without stacks
+    const noStack = errors.serializeError(createError(), false);
+    assert.equal(noStack.stack, undefined);
+    assert.equal(noStack.cause.stack, undefined);
+  });
+
+  it('handles circular causes', () => {
+
+    const err = new Error('loop');
+    err.cause = err;
+    assert.equal(errors.serializeError(err, false).cause, '[Circular]');
+    assert.equal(errors.renderErrorStack(err, false), '\n    Caused by: [Circular]');
+  });
+
+  it('renders text with indented stacks', () => {
+
+    const text = errors.renderErrorStack(createError(), true).split('\n');
+    assert.equal(text[0], '');
+    assert(/^ {8}at /.test(text[1]), 'unexpected line: ' + text[1]);
+    const cause = text.indexOf('    Caused by: TypeError: inner [E_INNER]');
+    assert(cause > 1, 'missing cause');
+    assert(/^ {8}at /.test(text[cause + 1]), 'unexpected line: ' + text[cause + 1]);
+  });
+
+  it('logs errors in text and JSON, with stacks from a level', (done) => {
+
+    logger.deinit();
+    logger.init({
+      showName: true,
+      stackLevel: 'error',
+      file: [{
+        path: LOG_FILE,
+        timestamp: false
+      }, {
+        path: LOG_FILE + '.json',
+        timestamp: false,
+        format: 'json'
+      }]
+    });
+
+    const inst = logger.createLogger('mymodule');
+    inst.error('failed: %s', createError());
+    inst.warn(new Error('warning'));
+
+    logger.end(() => {
+      const text = fs.readFileSync(LOG_FILE, 'utf8').split('\n');
+      assert.equal(text[0], 'error: [mymodule] failed: Error: outer');
+      assert(/^ {8}at /.test(text[1]));
+      assert(text.indexOf('    Caused by: TypeError: inner [E_INNER]') > 1);
+      assert.equal(text[text.length - 2], 'warn: [mymodule] Error: warning');
+
+      const json = fs.readFileSync(LOG_FILE + '.json', 'utf8').trim().split('\n').map((line) => JSON.parse(line));
+      fs.unlinkSync(LOG_FILE + '.json');
+      assert.equal(json[0].msg, 'failed: Error: outer');
+      assert.equal(json[0].err.message, 'outer');
+      assert(json[0].err.stack);
+      assert.equal(json[0].err.cause.code, 'E_INNER');
+      assert.equal(json[1].msg, 'Error: warning');
+      assert.deepEqual(json[1].err, { name: 'Error', message: 'warning' });
+      done();
+    });
+  });
+});
@@ -0,0 +1,180 @@
+/**
+ * @fileOverview Test the http batch transport
+ * @name test.http.js
+ * @author Matthijs Tempels <matthijs@townsville.nl>
+ * @license Copyright Townsville.nl
+ */
+
+"use strict";
+
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const logger = require('../lib/index');
+const zlib = require('zlib');
+
+
+// Spool file to use
+const SPOOL_FILE = '/tmp/cs_logger_http.spool';
+
+
+/**
+ * Helper to start a collector
+ * @param {Array} statuses Status codes of the first responses, 200 after
+ * @param {function} callback Called with the server when listening
+ */
+function startCollector(statuses, callback) {
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      const status = (statuses.length ? statuses.shift() : 200);
+      if (status === 200) {
+        let body = Buffer.concat(chunks);
+        if (req.headers['content-encoding'] === 'gzip') {
+          body = zlib.gunzipSync(body);
+        }
+        server.requests.push({ headers: req.headers, lines: JSON.parse(body.toString()) });
+      }
+      res.writeHead(status);
+      res.end();
+    });
+  });
+  server.requests = [];
+  server.listen(0, '127.0.0.1', () => callback(server));
+}
+
+/**
+ * Helper to init a logger with an http transport
+ * @param {number} port Collector port
+ * @param {Object} settings Extra http settings
+ */
+function initLogger(port, settings) {
+  logger.deinit();
+  logger.init({
+    showName: true,
+    http: Object.assign({
+      url: 'http://127.0.0.1:' + port + '/logs',
+      timestamp: false,
+      retry: {
+        minDelay: 10
+      },
+      spool: {
+        path: SPOOL_FILE
+      }
+    }, settings)
+  });
+}
+
+/**
+ * Helper to get the messages of the received batches
+ * @param {Object} server Collector
+ * @returns {Array} Messages per batch
+ */
+function getMessages(server) {
+  return server.requests.map((request) => request.lines.map((line) => line.msg));
+}
+
+
+describe('The http transport', () => {
+
+  let server;
+
+  afterEach((done) => {
+    logger.deinit();
+    if (fs.existsSync(SPOOL_FILE)) {
+      fs.unlinkSync(SPOOL_FILE);
+    }
+    if (server) {
+      server.close(() => done());
+      server = undefined;
+    } else {
+      done();
+    }
+  });
+
+  it('posts gzipped JSON batches and flushes on end', (done) => {
+
+    startCollector([], (srv) => {
+      server = srv;
+      initLogger(server.address().port, {
+        batchSize: 2,
+        gzip: true,
+        headers: {
+          authorization: 'Bearer secret'
+        }
+      });
+
+      const inst = logger.createLogger('mymodule');
+      for (let i = 0; i < 5; i++) {
+        inst.info('line %d', i);
+      }
+
+      logger.end(() => {
+        assert.deepEqual(getMessages(server), [['line 0', 'line 1'], ['line 2', 'line 3'], ['line 4']]);
+        assert.equal(server.requests[0].headers.authorization, 'Bearer secret');
+        assert.equal(server.requests[0].lines[0].module, 'mymodule');
+        done();
+      });
+    });
+  });
+
+  it('spools while the collector fails and retries in order', (done) => {
+
+    startCollector([503, 503], (srv) => {
+      server = srv;
+      initLogger(server.address().port, {
+        batchSize: 1
+      });
+
+      const inst = logger.createLogger('mymodule');
+      for (let i = 0; i < 3; i++) {
+        inst.info('line %d', i);
+      }
+
+      const check = setInterval(() => {
+        // Spool is emptied once the last response is handled
+        if (server.requests.length < 3 || fs.statSync(SPOOL_FILE).size) {
+          return;
+        }
+        clearInterval(check);
+        assert.deepEqual(getMessages(server), [['line 0'], ['line 1'], ['line 2']]);
+        logger.end(done);
+      }, 10);
+    });
+  });
+
+  it('keeps the spool at shutdown and sends it on the next start', (done) => {
+
+    // Nothing listens on a closed server's port
+    startCollector([], (srv) => {
+      const port = srv.address().port;
+      srv.close(() => {
+        initLogger(port, {
+          batchSize: 1,
+          spool: {
+            path: SPOOL_FILE,
+            maxBytes: 200
+          }
+        });
+
+        // The second batch does not fit in the spool
+        const inst = logger.createLogger('mymodule');
+        inst.info('kept');
+        inst.info('x'.repeat(200));
+        logger.end(() => {
+          assert.equal(fs.readFileSync(SPOOL_FILE, 'utf8').split('\n').length, 2);
+
+          startCollector([], (next) => {
+            server = next;
+            initLogger(server.address().port);
+            logger.end(() => {
+              assert.deepEqual(getMessages(server), [['kept']]);
+              done();
+            });
+          });
+        });
+      });
+    });
+  });
+});
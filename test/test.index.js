@@ -257,6 +257,101 @@ describe('The cs logger', () => {
   });
 
 
+  it('matches module levels by parent and wildcard', () => {
+
+    logger.deinit();
+    logger.init({
+      level: 'info',
+      levels: {
+        'db': 'warn',
+        'db.pool': 'debug',
+        'db.pool.stats': 'error',
+        'cache.*': 'trace',
+        '*.http': 'fatal',
+        'api.http': 'debug'
+      }
+    });
+
+    const level = (name) => {
+      const inst = logger.createLogger(name);
+      return ['trace', 'debug', 'info', 'warn', 'error', 'fatal'].find((lvl) =>
+        inst['is' + lvl.charAt(0).toUpperCase() + lvl.slice(1)]());
+    };
+
+    assert.equal(level('db'), 'warn');
+    assert.equal(level('db.query'), 'warn');
+    assert.equal(level('db.pool'), 'debug');
+    assert.equal(level('db.pool.conn'), 'debug');
+    assert.equal(level('db.pool.stats'), 'error');
+    assert.equal(level('dbx'), 'info');
+    assert.equal(level('cache'), 'info');
+    assert.equal(level('cache.redis'), 'trace');
+    assert.equal(level('cache.redis.conn'), 'trace');
+    assert.equal(level('web.http'), 'fatal');
+    assert.equal(level('web.http.client'), 'fatal');
+    assert.equal(level('api.http'), 'debug');
+    assert.equal(level('other'), 'info');
+  });
+
+  it('changes levels at runtime', (done) => {
+
+    // Create file logger
+    logger.deinit();
+    logger.init({
+      name: 'mylog',
+      level: 'info',
+      showName: true,
+      file: {
+        path: LOG_FILE,
+        timestamp: false
+      }
+    });
+
+    // Create log instances
+    const aap = logger.createLogger('aap');
+    const noot = logger.createLogger('noot');
+    assert(!aap.isDebug());
+    assert(!noot.isTrace());
+
+    // Default level
+    logger.setLevel('debug');
+    assert(aap.isDebug());
+    assert(!aap.isTrace());
+    aap.debug('debug 1');
+
+    // Module level
+    logger.setModuleLevel('noot', 'trace');
+    assert(noot.isTrace());
+    assert(!aap.isTrace());
+    noot.trace('trace 1');
+
+    // Back to default
+    logger.setModuleLevel('noot');
+    assert(!noot.isTrace());
+    noot.trace('trace 2');
+    logger.setLevel('warn');
+    aap.info('info 1');
+    aap.warn('warn 1');
+
+    // Some time to flush
+    setTimeout(() => {
+      // Read file
+      fs.readFile(LOG_FILE, 'utf8', (err, data) => {
+        if (err) {
+          throw err;
+        }
+        assert.equal(
+          data,
+          'debug: [aap] debug 1\n' +
+          'trace: [noot] trace 1\n' +
+          'warn: [aap] warn 1\n',
+          'log file not as expected');
+        done();
+      });
+    }, 500);
+  });
+
+
   it('logs without prefixes', (done) => {
 
     // Create file logger
@@ -435,6 +530,321 @@ describe('The cs logger', () => {
     }, 500);
   });
 
+  it('logs JSON lines', (done) => {
+
+    // Create file logger
+    logger.deinit();
+    logger.init({
+      name: 'mylog',
+      level: 'info',
+      showName: true,
+      file: {
+        path: LOG_FILE,
+        format: 'json'
+      }
+    });
+
+    // Create log instance
+    const inst = logger.createLogger('mymodule');
+    inst.info('plain');
+    inst.warn('user %s logged in %d times', 'aap', 3, { user: { id: 12 }, level: 'ignored' });
+    inst.error('with %j and extra', { a: 1 }, [1, 2], 'noot');
+
+    // Some time to flush
+    setTimeout(() => {
+      // Read file
+      fs.readFile(LOG_FILE, 'utf8', (err, data) => {
+        if (err) {
+          throw err;
+        }
+
+        const lines = data.trim().split('\n').map((line) => JSON.parse(line));
+        assert.equal(lines.length, 3);
+        lines.forEach((line) => {
+          assert(/^\d{8}-\d{6}[.]\d{3}$/.test(line.timestamp), 'Expected timestamp');
+          assert.equal(line.app, 'mylog');
+          assert.equal(line.module, 'mymodule');
+          assert.equal(line.pid, process.pid);
+        });
+        assert.equal(lines[0].level, 'info');
+        assert.equal(lines[0].msg, 'plain');
+        assert.equal(lines[1].level, 'warn');
+        assert.equal(lines[1].msg, 'user aap logged in 3 times');
+        assert.deepEqual(lines[1].user, { id: 12 });
+        assert.equal(lines[2].msg, 'with {"a":1} and extra [1,2] noot');
+        done();
+      });
+    }, 500);
+  });
+
+  it('logs child logger fields', (done) => {
+
+    // Create file logger
+    logger.deinit();
+    logger.init({
+      name: 'mylog',
+      level: 'info',
+      levels: {
+        mymodule: 'debug'
+      },
+      showName: true,
+      file: {
+        path: LOG_FILE,
+        timestamp: false
+      }
+    });
+
+    // Create log instances
+    const inst = logger.createLogger('mymodule');
+    const child = inst.child({ requestId: 'r1', userId: 7 });
+    const grandChild = child.child({ userId: 8, note: 'a b' });
+    assert(grandChild.isDebug());
+    assert(!grandChild.isTrace());
+
+    inst.info('parent');
+    child.debug('child %d', 1);
+    grandChild.info('grand child');
+
+    // Some time to flush
+    setTimeout(() => {
+      // Read file
+      fs.readFile(LOG_FILE, 'utf8', (err, data) => {
+        if (err) {
+          throw err;
+        }
+        assert.equal(
+          data,
+          'info: [mymodule] parent\n' +
+          'debug: [mymodule] requestId=r1 userId=7 child 1\n' +
+          'info: [mymodule] requestId=r1 userId=8 note="a b" grand child\n',
+          'log file not as expected');
+        done();
+      });
+    }, 500);
+  });
+
+  it('logs child logger fields as JSON', (done) => {
+
+    // Create file logger
+    logger.deinit();
+    logger.init({
+      name: 'mylog',
+      file: {
+        path: LOG_FILE,
+        format: 'json'
+      }
+    });
+
+    // Create log instance
+    const child = logger.createLogger('mymodule').child({ requestId: 'r1', userId: 7, pid: 1 });
+    child.info('child', { userId: 8 });
+
+    // Some time to flush
+    setTimeout(() => {
+      // Read file
+      fs.readFile(LOG_FILE, 'utf8', (err, data) => {
+        if (err) {
+          throw err;
+        }
+        const line = JSON.parse(data);
+        assert.equal(line.msg, 'child');
+        assert.equal(line.requestId, 'r1');
+        assert.equal(line.userId, 8);
+        assert.equal(line.pid, process.pid);
+        done();
+      });
+    }, 500);
+  });
+
+  it('logs async context fields', (done) => {
+
+    // Create file logger
+    logger.deinit();
+    logger.init({
+      name: 'mylog',
+      showName: true,
+      file: {
+        path: LOG_FILE,
+        timestamp: false
+      }
+    });
+
+    // Create log instance
+    const inst = logger.createLogger('mymodule');
+
+    logger.runWithContext({ requestId: 'r1' }, () => {
+      inst.info('sync');
+      setTimeout(() => {
+        inst.info('timer');
+        logger.runWithContext({ userId: 7 }, () => Promise.resolve().then(() => {
+          inst.child({ requestId: 'bound' }).info('nested');
+        }));
+      }, 10);
+    });
+    inst.info('outside');
+
+    // Some time to flush
+    setTimeout(() => {
+      // Read file
+      fs.readFile(LOG_FILE, 'utf8', (err, data) => {
+        if (err) {
+          throw err;
+        }
+        assert.equal(
+          data,
+          'info: [mymodule] requestId=r1 sync\n' +
+          'info: [mymodule] outside\n' +
+          'info: [mymodule] requestId=r1 timer\n' +
+          'info: [mymodule] requestId=bound userId=7 nested\n',
+          'log file not as expected');
+        done();
+      });
+    }, 500);
+  });
+
+  it('reconfigures at runtime', (done) => {
+
+    const otherFile = '/tmp/cs_logger_test2.log';
+
+    // Create file logger
+    logger.deinit();
+    logger.init({
+      name: 'mylog',
+      level: 'info',
+      showName: true,
+      file: {
+        path: LOG_FILE,
+        timestamp: false
+      }
+    });
+
+    // Create log instance
+    const inst = logger.createLogger('mymodule');
+    inst.info('before');
+    assert(!inst.isDebug());
+
+    // Swap file, format and level
+    logger.reconfigure({
+      name: 'mylog',
+      level: 'debug',
+      showPid: true,
+      file: {
+        path: otherFile,
+        format: 'json',
+        timestamp: false
+      }
+    });
+    assert(inst.isDebug());
+    inst.debug('after');
+
+    // Some time to flush
+    setTimeout(() => {
+      const before = fs.readFileSync(LOG_FILE, 'utf8');
+      assert.equal(before, 'info: [mymodule] before\n');
+      const after = JSON.parse(fs.readFileSync(otherFile, 'utf8'));
+      assert.equal(after.msg, 'after');
+      assert.equal(after.level, 'debug');
+      done();
+    }, 500);
+  });
+
+  it('reloads a watched config file', (done) => {
+
+    const configFile = '/tmp/cs_logger_test.json';
+    const writeConfig = (level) => {
+      fs.writeFileSync(configFile, JSON.stringify({
+        logSettings: {
+          level: level,
+          file: {
+            path: LOG_FILE
+          }
+        }
+      }));
+    };
+
+    logger.deinit();
+    writeConfig('warn');
+    logger.watchConfig(configFile, {
+      interval: 20,
+      onReload: (err) => {
+        assert.ifError(err);
+        assert(inst.isInfo());
+        logger.unwatchConfig();
+        fs.unlinkSync(configFile);
+        done();
+      }
+    });
+
+    // Create log instance
+    const inst = logger.createLogger('mymodule');
+    assert(inst.isWarn());
+    assert(!inst.isInfo());
+
+    // Change the file (after at least one poll)
+    setTimeout(() => writeConfig('info'), 50);
+  });
+
+  it('filters per file by level and module', (done) => {
+
+    const errorFile = '/tmp/cs_logger_test1.log';
+    const dbFile = '/tmp/cs_logger_test2.log';
+
+    // Create file loggers
+    logger.deinit();
+    logger.init({
+      level: 'info',
+      levels: {
+        http: 'debug'
+      },
+      showName: true,
+      file: [{
+        path: LOG_FILE,
+        timestamp: false,
+        modules: {
+          exclude: ['db.pool']
+        }
+      }, {
+        path: errorFile,
+        timestamp: false,
+        level: 'warn'
+      }, {
+        path: dbFile,
+        timestamp: false,
+        level: 'trace',
+        modules: ['db.*']
+      }]
+    });
+
+    // Create log instances
+    const http = logger.createLogger('http');
+    const query = logger.createLogger('db.query');
+    const pool = logger.createLogger('db.pool');
+    assert(!http.isTrace());
+    assert(query.isTrace());
+
+    http.debug('http debug');
+    http.error('http error');
+    query.trace('query trace');
+    query.info('query info');
+    pool.warn('pool warn');
+
+    // Some time to flush
+    setTimeout(() => {
+      assert.equal(fs.readFileSync(LOG_FILE, 'utf8'),
+        'debug: [http] http debug\n' +
+        'error: [http] http error\n' +
+        'info: [db.query] query info\n');
+      assert.equal(fs.readFileSync(errorFile, 'utf8'),
+        'error: [http] http error\n' +
+        'warn: [db.pool] pool warn\n');
+      assert.equal(fs.readFileSync(dbFile, 'utf8'),
+        'trace: [db.query] query trace\n' +
+        'info: [db.query] query info\n' +
+        'warn: [db.pool] pool warn\n');
+      done();
+    }, 500);
+  });
+
   it('handles rolling file correctly', (done) => {
 
     // Create file logger
@@ -0,0 +1,155 @@
+/**
+ * @fileOverview Test custom log levels
+ * @name test.levels.js
+ * @author Matthijs Tempels <matthijs@townsville.nl>
+ * @license Copyright Townsville.nl
+ */
+
+"use strict";
+
+const assert = require('assert');
+const dgram = require('dgram');
+const fs = require('fs');
+const logger = require('../lib/index');
+
+
+// Log file to use
+const LOG_FILE = '/tmp/cs_logger_levels.log';
+// Custom levels to use
+const CUSTOM_LEVELS = {
+  notice: { value: 25, color: 'cyan', severity: 'notice' },
+  audit: { value: 22 }
+};
+
+
+describe('The custom levels', () => {
+
+  beforeEach(() => {
+    logger.deinit();
+  });
+
+  afterEach(() => {
+    logger.deinit();
+    if (fs.existsSync(LOG_FILE)) {
+      fs.unlinkSync(LOG_FILE);
+    }
+  });
+
+  it('get generated methods and can be used as levels', (done) => {
+
+    logger.init({
+      level: 'notice',
+      levels: { db: 'audit' },
+      customLevels: CUSTOM_LEVELS,
+      file: {
+        path: LOG_FILE,
+        timestamp: false
+      }
+    });
+
+    const inst = logger.createLogger('mymodule');
+    const db = logger.createLogger('db');
+    assert.equal(inst.isNotice(), true);
+    assert.equal(inst.isInfo(), false);
+    assert.equal(db.isNotice(), false);
+    assert.equal(db.isAudit(), true);
+
+    inst.info('skipped');
+    inst.notice('notice %d', 1);
+    inst.audit('audit %d', 1);
+    db.notice('skipped');
+    db.audit('audit %d', 2);
+    db.warn('warn');
+
+    logger.end(() => {
+      assert.equal(fs.readFileSync(LOG_FILE, 'utf8'),
+        'notice: notice 1\n' +
+        'audit: audit 1\n' +
+        'audit: audit 2\n' +
+        'warn: warn\n');
+      done();
+    });
+  });
+
+  it('can be used in transport filters', (done) => {
+
+    logger.init({
+      level: 'trace',
+      customLevels: CUSTOM_LEVELS,
+      file: {
+        path: LOG_FILE,
+        level: 'audit',
+        timestamp: false
+      }
+    });
+
+    const inst = logger.createLogger('mymodule');
+    inst.notice('skipped');
+    inst.audit('audit');
+    inst.error('error');
+
+    logger.end(() => {
+      assert.equal(fs.readFileSync(LOG_FILE, 'utf8'), 'audit: audit\nerror: error\n');
+      done();
+    });
+  });
+
+  it('rejects invalid definitions and removes methods of old levels', () => {
+
+    const invalid = [
+      [{ Notice: { value: 25 } }, /Invalid custom level name: Notice/],
+      [{ info: { value: 25 } }, /Invalid custom level name: info/],
+      [{ child: { value: 25 } }, /Invalid custom level name: child/],
+      [{ notice: { value: 20 } }, /Invalid custom level value: notice=20/],
+      [{ notice: { value: '25' } }, /Invalid custom level value/],
+      [{ notice: { value: 25, severity: 'loud' } }, /Unknown syslog severity: loud/]
+    ];
+    invalid.forEach(([customLevels, error]) => {
+      assert.throws(() => logger.init({ validate: 'off', customLevels: customLevels }), error);
+    });
+
+    const inst = logger.createLogger('mymodule');
+    assert.equal(inst.notice, undefined);
+
+    logger.init({ customLevels: CUSTOM_LEVELS });
+    assert.equal(typeof (inst.notice), 'function');
+    logger.reconfigure({ customLevels: { verbose: { value: 45 } } });
+    assert.equal(inst.notice, undefined);
+    assert.equal(inst.isVerbose(), false);
+    logger.deinit();
+    assert.equal(inst.verbose, undefined);
+  });
+
+  it('map to syslog severities', (done) => {
+
+    const server = dgram.createSocket('udp4');
+    const messages = [];
+
+    server.on('message', (msg) => {
+      messages.push(msg.toString());
+      if (messages.length < 2) {
+        return;
+      }
+      // local0 (16): notice is severity notice (5), audit gets warning (4) like warn
+      assert(/^<133>.* \[mymodule\] notice$/.test(messages[0]), 'unexpected message: ' + messages[0]);
+      assert(/^<132>.* \[mymodule\] audit$/.test(messages[1]), 'unexpected message: ' + messages[1]);
+      logger.end(() => server.close(done));
+    });
+
+    server.bind(0, '127.0.0.1', () => {
+      logger.init({
+        name: 'mylog',
+        showName: true,
+        customLevels: CUSTOM_LEVELS,
+        syslog: {
+          host: '127.0.0.1',
+          port: server.address().port,
+          type: 'BSD'
+        }
+      });
+      const inst = logger.createLogger('mymodule');
+      inst.notice('notice');
+      setTimeout(() => inst.audit('audit'), 20);
+    });
+  });
+});
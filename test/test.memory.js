@@ -0,0 +1,144 @@
+/**
+ * @fileOverview Test the memory transport
+ * @name test.memory.js
+ * @author Matthijs Tempels <matthijs@townsville.nl>
+ * @license Copyright Townsville.nl
+ */
+
+"use strict";
+
+const assert = require('assert');
+const fs = require('fs');
+const logger = require('../lib/index');
+
+
+// Log file to use
+const LOG_FILE = '/tmp/cs_logger_memory.log';
+const JSON_FILE = '/tmp/cs_logger_memory.json';
+
+
+describe('The memory transport', () => {
+
+  afterEach(() => {
+    logger.deinit();
+    [LOG_FILE, JSON_FILE].filter((file) => fs.existsSync(file)).forEach((file) => fs.unlinkSync(file));
+  });
+
+  it('keeps the last entries and queries them', () => {
+
+    logger.deinit();
+    logger.init({
+      level: 'warn',
+      showName: true,
+      memory: {
+        level: 'trace',
+        size: 4,
+        timestamp: false
+      }
+    });
+
+    const db = logger.createLogger('db.pool');
+    const http = logger.createLogger('http');
+    db.trace('old');
+    db.debug('connect');
+    http.info('request');
+    db.warn('slow');
+    http.error('failed');
+
+    assert.deepEqual(logger.getRecent().map((entry) => entry.line), [
+      'debug: [db.pool] connect',
+      'info: [http] request',
+      'warn: [db.pool] slow',
+      'error: [http] failed'
+    ]);
+    assert.deepEqual(logger.getRecent({ module: 'db' }).map((entry) => entry.line),
+      ['debug: [db.pool] connect', 'warn: [db.pool] slow']);
+    assert.deepEqual(logger.getRecent({ level: 'info', limit: 2 }).map((entry) => entry.line),
+      ['warn: [db.pool] slow', 'error: [http] failed']);
+
+    const [first] = logger.getRecent({ limit: 1 });
+    assert.equal(first.level, 'error');
+    assert.equal(first.module, 'http');
+    assert.ok(first.time instanceof Date);
+    assert.equal(logger.getRecent({ since: Date.now() + 1000 }).length, 0);
+  });
+
+  it('dumps the context to the file on an error', (done) => {
+
+    logger.deinit();
+    logger.init({
+      level: 'info',
+      memory: {
+        level: 'trace',
+        timestamp: false,
+        dumpOnError: true
+      },
+      file: {
+        path: LOG_FILE,
+        timestamp: false
+      }
+    });
+
+    const inst = logger.createLogger('mymodule');
+    inst.debug('context %d', 1);
+    inst.info('written');
+    inst.trace('context %d', 2);
+    inst.error('failed');
+    inst.debug('context %d', 3);
+    inst.fatal('crashed');
+
+    logger.end(() => {
+      // Skipped lines are written just before the error
+      assert.equal(fs.readFileSync(LOG_FILE, 'utf8'),
+        'info: written\n' +
+        'debug: context 1\n' +
+        'trace: context 2\n' +
+        'error: failed\n' +
+        'debug: context 3\n' +
+        'fatal: crashed\n');
+      done();
+    });
+  });
+
+  it('dumps in the format and for the modules of each file', (done) => {
+
+    logger.deinit();
+    logger.init({
+      level: 'info',
+      memory: {
+        level: 'trace',
+        colorize: true,
+        dumpOnError: true
+      },
+      file: [{
+        path: LOG_FILE,
+        modules: ['db'],
+        timestamp: false
+      }, {
+        path: JSON_FILE,
+        format: 'json'
+      }]
+    });
+
+    logger.createLogger('db').debug('query %d', 1);
+    logger.createLogger('http').debug('request');
+    setTimeout(() => {
+      logger.createLogger('db').error('failed');
+
+      logger.end(() => {
+        assert.equal(fs.readFileSync(LOG_FILE, 'utf8'),
+          'debug: query 1\n' +
+          'error: failed\n');
+        const lines = fs.readFileSync(JSON_FILE, 'utf8').trim().split('\n').map((line) => JSON.parse(line));
+        assert.deepEqual(lines.map((line) => [line.level, line.module, line.msg]), [
+          ['debug', 'db', 'query 1'],
+          ['debug', 'http', 'request'],
+          ['error', 'db', 'failed']
+        ]);
+        // The time of logging, not of the dump
+        assert(lines[0].timestamp < lines[2].timestamp);
+        done();
+      });
+    }, 20);
+  });
+});
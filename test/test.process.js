@@ -0,0 +1,116 @@
+/**
+ * @fileOverview Test logging of uncaught errors and process warnings
+ * @name test.process.js
+ * @author Matthijs Tempels <matthijs@townsville.nl>
+ * @license Copyright Townsville.nl
+ */
+
+"use strict";
+
+const assert = require('assert');
+const { execFile } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+
+// Log file to use
+const LOG_FILE = '/tmp/cs_logger_process.log';
+// Logger module path, for the child processes
+const LOGGER_PATH = path.resolve(__dirname, '../lib/index');
+
+
+/**
+ * Helper to run a script in a child process with an initialized logger
+ * @param {Object} settings Extra log settings
+ * @param {string} script Script to run after init
+ * @param {function} callback Called with (exit code, stderr)
+ */
+function runChild(settings, script, callback) {
+  const source =
+    'const logger = require(' + JSON.stringify(LOGGER_PATH) + ');\n' +
+    'logger.init(' + JSON.stringify(Object.assign({
+      stackLevel: 'fatal',
+      file: {
+        path: LOG_FILE,
+        timestamp: false
+      }
+    }, settings)) + ');\n' + script;
+  execFile(process.execPath, ['-e', source], (err, stdout, stderr) => {
+    callback((err ? err.code : 0), stderr);
+  });
+}
+
+
+describe('The process error handling', () => {
+
+  afterEach(() => {
+    if (fs.existsSync(LOG_FILE)) {
+      fs.unlinkSync(LOG_FILE);
+    }
+  });
+
+  it('logs an uncaught exception and warnings, then exits', (done) => {
+
+    const script =
+      'process.emitWarning("careful");\n' +
+      'setTimeout(() => { throw new TypeError("boom"); }, 10);\n';
+    runChild({
+      handleExceptions: { exitCode: 3 },
+      handleWarnings: true
+    }, script, (code) => {
+      assert.equal(code, 3);
+      const lines = fs.readFileSync(LOG_FILE, 'utf8').split('\n');
+      assert.equal(lines[0], 'warn: Process warning Warning: careful');
+      assert.ok(lines.includes('fatal: Uncaught exception TypeError: boom'));
+      assert.ok(lines.includes('        at Timeout._onTimeout ([eval]:4:26)'));
+      done();
+    });
+  });
+
+  it('logs an unhandled rejection through its own logger, then rethrows', (done) => {
+
+    const script =
+      'Promise.reject(new Error("nope"));\n';
+    runChild({
+      showName: true,
+      processLogger: 'crash',
+      handleRejections: { rethrow: true }
+    }, script, (code, stderr) => {
+      assert.equal(code, 1);
+      assert.ok(/Error: nope/.test(stderr));
+      assert.equal(fs.readFileSync(LOG_FILE, 'utf8').split('\n')[0],
+        'fatal: [crash] Unhandled rejection Error: nope');
+      done();
+    });
+  });
+
+  it('still exits on an error after a shutdown', (done) => {
+
+    const script =
+      'logger.shutdown().then(() => {\n' +
+      '  setTimeout(() => { throw new Error("late"); }, 10);\n' +
+      '});\n' +
+      'setTimeout(() => undefined, 5000);\n';
+    runChild({
+      handleExceptions: { exitCode: 4 }
+    }, script, (code) => {
+      assert.equal(code, 4);
+      done();
+    });
+  });
+
+  it('still exits on a rejection after a shutdown', (done) => {
+
+    const script =
+      'logger.shutdown().then(() => {\n' +
+      '  setTimeout(() => Promise.reject(new Error("late")), 10);\n' +
+      '});\n' +
+      'setTimeout(() => undefined, 5000);\n';
+    runChild({
+      handleRejections: { exitCode: 5 }
+    }, script, (code) => {
+      assert.equal(code, 5);
+      done();
+    });
+  });
+});
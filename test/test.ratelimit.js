@@ -0,0 +1,131 @@
+/**
+ * @fileOverview Test rate limiting and duplicate suppression
+ * @name test.ratelimit.js
+ * @author Matthijs Tempels <matthijs@townsville.nl>
+ * @license Copyright Townsville.nl
+ */
+
+"use strict";
+
+const assert = require('assert');
+const fs = require('fs');
+const logger = require('../lib/index');
+
+
+// Log file to use
+const LOG_FILE = '/tmp/cs_logger_ratelimit.log';
+
+
+/**
+ * Helper to init a file logger with rate limit settings
+ * @param {Object} rateLimit Rate limit settings
+ */
+function initLogger(rateLimit) {
+  logger.deinit();
+  logger.init({
+    showName: true,
+    rateLimit: rateLimit,
+    file: {
+      path: LOG_FILE,
+      timestamp: false
+    }
+  });
+}
+
+
+describe('The rate limiter', () => {
+
+  afterEach(() => {
+    logger.deinit();
+    if (fs.existsSync(LOG_FILE)) {
+      fs.unlinkSync(LOG_FILE);
+    }
+  });
+
+  it('drops lines beyond the limit and reports them when the window closes', (done) => {
+
+    initLogger({
+      lines: 3,
+      interval: 100
+    });
+
+    const inst = logger.createLogger('mymodule');
+    for (let i = 0; i < 10; i++) {
+      if (i === 5) {
+        inst.error('line %d', i);
+      } else {
+        inst.info('line %d', i);
+      }
+    }
+
+    setTimeout(() => {
+      inst.info('next window');
+      logger.end(() => {
+        assert.equal(fs.readFileSync(LOG_FILE, 'utf8'),
+          'info: [mymodule] line 0\n' +
+          'info: [mymodule] line 1\n' +
+          'info: [mymodule] line 2\n' +
+          'error: [mymodule] 7 messages dropped by rate limit\n' +
+          'info: [mymodule] next window\n');
+        done();
+      });
+    }, 200);
+  });
+
+  it('collapses repeated lines', (done) => {
+
+    initLogger({
+      suppressDuplicates: true
+    });
+
+    const inst = logger.createLogger('mymodule');
+    for (let i = 0; i < 5; i++) {
+      inst.warn('same %d', 1);
+    }
+    inst.warn('same %d', 2);
+    inst.child({ requestId: 'r1' }).warn('same %d', 2);
+    inst.info('same %d', 2);
+    inst.info('same %d', 2);
+
+    logger.end(() => {
+      assert.equal(fs.readFileSync(LOG_FILE, 'utf8'),
+        'warn: [mymodule] same 1\n' +
+        'warn: [mymodule] last message repeated 4 times\n' +
+        'warn: [mymodule] same 2\n' +
+        'warn: [mymodule] requestId=r1 same 2\n' +
+        'info: [mymodule] same 2\n' +
+        'info: [mymodule] last message repeated 1 times\n');
+      done();
+    });
+  });
+
+  it('applies module overrides', (done) => {
+
+    initLogger({
+      lines: 0,
+      interval: 10000,
+      modules: {
+        db: {
+          lines: 1
+        }
+      }
+    });
+
+    const query = logger.createLogger('db.query');
+    const http = logger.createLogger('http');
+    for (let i = 0; i < 3; i++) {
+      query.info('query %d', i);
+      http.info('http %d', i);
+    }
+
+    logger.end(() => {
+      assert.equal(fs.readFileSync(LOG_FILE, 'utf8'),
+        'info: [db.query] query 0\n' +
+        'info: [http] http 0\n' +
+        'info: [http] http 1\n' +
+        'info: [http] http 2\n' +
+        'info: [db.query] 2 messages dropped by rate limit\n');
+      done();
+    });
+  });
+});
@@ -0,0 +1,170 @@
+/**
+ * @fileOverview Test redaction of sensitive data
+ * @name test.redact.js
+ * @author Matthijs Tempels <matthijs@townsville.nl>
+ * @license Copyright Townsville.nl
+ */
+
+"use strict";
+
+const assert = require('assert');
+const fs = require('fs');
+const logger = require('../lib/index');
+const { Redactor } = require('../lib/redact');
+
+
+// Log file to use
+const LOG_FILE = '/tmp/cs_logger_redact.log';
+// Card number pattern
+const CARD_PATTERN = '\\b\\d{4}[ -]?\\d{4}[ -]?\\d{4}[ -]?\\d{4}\\b';
+
+
+describe('The redaction', () => {
+
+  afterEach(() => {
+    logger.deinit();
+    [LOG_FILE, LOG_FILE + '.json'].forEach((file) => {
+      if (fs.existsSync(file)) {
+        fs.unlinkSync(file);
+      }
+    });
+  });
+
+  it('masks key paths without changing the original', () => {
+
+    const redactor = new Redactor({
+      paths: ['password', 'headers.authorization', '*.token', 'list.*.secret']
+    });
+    const value = {
+      user: 'aap',
+      password: 'noot',
+      headers: { authorization: 'Bearer x', accept: '*/*' },
+      session: { token: 't1', id: 1 },
+      refresh: { token: 't2' },
+      list: [{ secret: 's1' }, { other: 1 }]
+    };
+    const copy = JSON.parse(JSON.stringify(value));
+
+    assert.deepEqual(redactor.redactValue(value), {
+      user: 'aap',
+      password: '[REDACTED]',
+      headers: { authorization: '[REDACTED]', accept: '*/*' },
+      session: { token: '[REDACTED]', id: 1 },
+      refresh: { token: '[REDACTED]' },
+      list: [{ secret: '[REDACTED]' }, { other: 1 }]
+    });
+    assert.deepEqual(value, copy);
+    assert.equal(redactor.redactValue('password'), 'password');
+  });
+
+  it('supports partial and hash masks', () => {
+
+    const partial = new Redactor({ patterns: [CARD_PATTERN], mask: 'partial' });
+    assert.equal(partial.redactText('card 1234 5678 9012 3456 used'), 'card ***************3456 used');
+
+    const hash = new Redactor({ paths: ['pin'], mask: 'hash', hashKey: 'secret' });
+    const first = hash.redactValue({ pin: 1234 }).pin;
+    assert(/^hmac:[0-9a-f]{16}$/.test(first));
+    assert.equal(hash.redactValue({ pin: 1234 }).pin, first);
+    assert.notEqual(hash.redactValue({ pin: 4321 }).pin, first);
+    // Without the key the hash cannot be recomputed
+    const other = new Redactor({ paths: ['pin'], mask: 'hash', hashKey: 'other' });
+    assert.notEqual(other.redactValue({ pin: 1234 }).pin, first);
+
+    assert.throws(() => new Redactor({ mask: 'blur' }), /Unknown redact mask/);
+    assert.throws(() => new Redactor({ mask: 'hash' }), /The hash redact mask needs a hashKey/);
+  });
+
+  it('keeps circular structures and skips buffers and errors', () => {
+
+    const redactor = new Redactor({ paths: ['self.password'] });
+    const circ = { password: 'noot' };
+    circ.self = circ;
+    const result = redactor.redactValue(circ);
+    assert.equal(result.self, result);
+    assert.equal(result.password, '[REDACTED]');
+    assert.equal(circ.password, 'noot');
+
+    const any = new Redactor({ paths: ['*'] });
+    const buffer = Buffer.from('hello');
+    const err = new Error('broken');
+    assert.equal(any.redactValue(buffer), buffer);
+    assert.equal(any.redactValue(err), err);
+  });
+
+  it('redacts before writing to every transport', (done) => {
+
+    logger.deinit();
+    logger.init({
+      showName: true,
+      redact: {
+        paths: ['password', 'headers.authorization'],
+        patterns: [CARD_PATTERN]
+      },
+      file: [{
+        path: LOG_FILE,
+        timestamp: false
+      }, {
+        path: LOG_FILE + '.json',
+        timestamp: false,
+        format: 'json'
+      }]
+    });
+
+    const inst = logger.createLogger('mymodule').child({ password: 'child' });
+    inst.info('login card %s', '1234-5678-9012-3456', {
+      user: 'aap',
+      password: 'noot',
+      headers: { authorization: 'Bearer x' }
+    });
+
+    logger.end(() => {
+      assert.equal(fs.readFileSync(LOG_FILE, 'utf8'),
+        'info: [mymodule] password=[REDACTED] login card [REDACTED] ' +
+        '{"user":"aap","password":"[REDACTED]","headers":{"authorization":"[REDACTED]"}}\n');
+
+      const json = JSON.parse(fs.readFileSync(LOG_FILE + '.json', 'utf8'));
+      assert.equal(json.msg, 'login card [REDACTED]');
+      assert.equal(json.password, '[REDACTED]');
+      assert.deepEqual(json.headers, { authorization: '[REDACTED]' });
+      done();
+    });
+  });
+
+  it('masks patterns in every string of a JSON line', (done) => {
+
+    logger.init({
+      redact: {
+        paths: ['*.password'],
+        patterns: [CARD_PATTERN]
+      },
+      file: {
+        path: LOG_FILE,
+        timestamp: false,
+        format: 'json'
+      }
+    });
+
+    const circ = { user: 'aap' };
+    circ.self = circ;
+    circ.password = 'noot';
+    const inst = logger.createLogger('mymodule');
+    inst.error('payment failed', new Error('card 1234 5678 9012 3456 declined'),
+      { note: 'card 1234-5678-9012-3456' });
+    inst.info('circular', { circ: circ });
+    inst.info('upload', Buffer.from('hello'));
+
+    logger.end(() => {
+      const lines = fs.readFileSync(LOG_FILE, 'utf8').trim().split('\n').map((line) => JSON.parse(line));
+      assert.equal(lines[0].err.message, 'card [REDACTED] declined');
+      assert(lines[0].err.stack.indexOf('1234') < 0);
+      assert.equal(lines[0].note, 'card [REDACTED]');
+      assert.equal(lines[1].circ.password, '[REDACTED]');
+      assert.equal(lines[1].circ.self.password, undefined);
+      assert(JSON.stringify(lines[1]).indexOf('noot') < 0);
+      assert.equal(lines[2].msg, 'upload {"type":"Buffer","length":5,"hex":"68656c6c6f"}');
+      assert.equal(lines[2]['0'], undefined);
+      done();
+    });
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * @fileOverview Test time based rotating file transport
+ * @name test.rotate.js
+ * @author Matthijs Tempels <matthijs@townsville.nl>
+ * @license Copyright Townsville.nl
+ */
+
+"use strict";
+
+const assert = require('assert');
+const fs = require('fs');
+const logger = require('../lib/index');
+const path = require('path');
+const zlib = require('zlib');
+
+
+// Log dir to use
+const LOG_DIR = '/tmp/cs_logger_rotate';
+// Milliseconds per hour
+const HOUR_MS = 60 * 60 * 1000;
+
+
+/**
+ * Helper function to remove the log dir
+ */
+function removeLogDir() {
+  fs.rmSync(LOG_DIR, { recursive: true, force: true });
+}
+
+
+/**
+ * Helper to check retention, with rotated files of the 5th to 14th present
+ * @param {Object} rotate Rotate settings
+ * @param {Array} expected Rotated files expected to remain
+ * @param {function} done Test callback
+ */
+function checkRetention(rotate, expected, done) {
+
+  const now = Date.UTC(2026, 0, 15, 10, 30);
+  Date.now = () => now;
+
+  // Existing rotated files, one per day
+  fs.mkdirSync(LOG_DIR, { recursive: true });
+  for (let day = 5; day < 15; day++) {
+    const file = path.join(LOG_DIR, `app.2026-01-${String(day).padStart(2, '0')}.txt.gz`);
+    fs.writeFileSync(file, '');
+    const mtime = new Date(Date.UTC(2026, 0, day, 12)) / 1000;
+    fs.utimesSync(file, mtime, mtime);
+  }
+  // Not a file of this transport
+  fs.writeFileSync(path.join(LOG_DIR, 'app.other.txt'), '');
+
+  logger.deinit();
+  logger.init({
+    file: {
+      path: path.join(LOG_DIR, 'app.%DATE%.txt'),
+      rotate: rotate
+    }
+  });
+
+  logger.createLogger('mymodule').info('today');
+
+  logger.end(() => {
+    assert.deepEqual(fs.readdirSync(LOG_DIR).sort(),
+      expected.concat(['app.2026-01-15.txt', 'app.other.txt']));
+    done();
+  });
+}
+
+
+describe('The rotating file transport', () => {
+
+  const realNow = Date.now;
+
+  beforeEach(removeLogDir);
+
+  afterEach(() => {
+    Date.now = realNow;
+    removeLogDir();
+  });
+
+  it('rotates hourly and compresses rotated files', (done) => {
+
+    let now = Date.UTC(2026, 0, 15, 10, 30);
+    Date.now = () => now;
+
+    logger.deinit();
+    logger.init({
+      showName: true,
+      file: {
+        path: path.join(LOG_DIR, 'app.log'),
+        timestamp: false,
+        rotate: {
+          frequency: 'hourly',
+          compress: true
+        }
+      }
+    });
+
+    const inst = logger.createLogger('mymodule');
+    inst.info('first');
+    now += HOUR_MS;
+    inst.info('second');
+
+    logger.end(() => {
+      assert.deepEqual(fs.readdirSync(LOG_DIR).sort(), [
+        'app-2026-01-15-10.log.gz',
+        'app-2026-01-15-11.log'
+      ]);
+      const first = zlib.gunzipSync(fs.readFileSync(path.join(LOG_DIR, 'app-2026-01-15-10.log.gz')));
+      assert.equal(first.toString(), 'info: [mymodule] first\n');
+      assert.equal(fs.readFileSync(path.join(LOG_DIR, 'app-2026-01-15-11.log'), 'utf8'),
+        'info: [mymodule] second\n');
+      done();
+    });
+  });
+
+  it('removes files beyond max count', (done) => {
+    checkRetention({ maxFiles: 3, maxAgeDays: 5 }, [
+      'app.2026-01-13.txt.gz',
+      'app.2026-01-14.txt.gz'
+    ], done);
+  });
+
+  it('removes files beyond max age', (done) => {
+    checkRetention({ maxFiles: 5, maxAgeDays: 3 }, [
+      'app.2026-01-12.txt.gz',
+      'app.2026-01-13.txt.gz',
+      'app.2026-01-14.txt.gz'
+    ], done);
+  });
+});
@@ -0,0 +1,147 @@
+/**
+ * @fileOverview Test sampling of high volume levels
+ * @name test.sampling.js
+ * @author Matthijs Tempels <matthijs@townsville.nl>
+ * @license Copyright Townsville.nl
+ */
+
+"use strict";
+
+const assert = require('assert');
+const fs = require('fs');
+const logger = require('../lib/index');
+
+
+// Log file to use
+const LOG_FILE = '/tmp/cs_logger_sampling.log';
+
+
+/**
+ * Helper to init a file logger with sampling settings
+ * @param {Object} sampling Sampling settings
+ */
+function initLogger(sampling) {
+  logger.deinit();
+  logger.init({
+    validate: 'off',
+    level: 'trace',
+    showName: true,
+    sampling: sampling,
+    file: {
+      path: LOG_FILE,
+      timestamp: false
+    }
+  });
+}
+
+
+describe('The sampler', () => {
+
+  afterEach(() => {
+    logger.deinit();
+    if (fs.existsSync(LOG_FILE)) {
+      fs.unlinkSync(LOG_FILE);
+    }
+  });
+
+  it('keeps 1 in N lines per level and module', (done) => {
+
+    initLogger({
+      levels: {
+        debug: 0.5
+      },
+      modules: {
+        http: {
+          trace: 0.25
+        }
+      }
+    });
+
+    const http = logger.createLogger('http.server');
+    const db = logger.createLogger('db');
+    for (let i = 0; i < 8; i++) {
+      http.trace('trace %d', i);
+      http.debug('debug %d', i);
+      db.trace('db %d', i);
+    }
+    http.info('info');
+
+    logger.end(() => {
+      const lines = fs.readFileSync(LOG_FILE, 'utf8').split('\n');
+      assert.deepEqual(lines.filter((line) => line.startsWith('trace: [http')),
+        ['trace: [http.server] trace 0', 'trace: [http.server] trace 4']);
+      assert.deepEqual(lines.filter((line) => line.startsWith('debug:')),
+        ['debug: [http.server] debug 0', 'debug: [http.server] debug 2',
+          'debug: [http.server] debug 4', 'debug: [http.server] debug 6']);
+      assert.equal(lines.filter((line) => line.startsWith('trace: [db]')).length, 8);
+      assert.ok(lines.includes('info: [http.server] info'));
+      done();
+    });
+  });
+
+  it('makes the same decision for every line with the same key', (done) => {
+
+    initLogger({
+      key: 'requestId',
+      levels: {
+        trace: 0.5
+      }
+    });
+
+    const inst = logger.createLogger('mymodule');
+    const kept = [];
+    for (let i = 0; i < 40; i++) {
+      const requestId = 'req-' + i;
+      logger.runWithContext({ requestId: requestId }, () => {
+        const first = inst.isTrace();
+        for (let j = 0; j < 3; j++) {
+          assert.equal(inst.isTrace(), first);
+          inst.trace('line %d', j);
+        }
+        if (first) {
+          kept.push(requestId);
+        }
+      });
+    }
+    assert.ok(kept.length > 0 && kept.length < 40);
+
+    logger.end(() => {
+      const lines = fs.readFileSync(LOG_FILE, 'utf8').trim().split('\n');
+      assert.equal(lines.length, kept.length * 3);
+      kept.forEach((requestId) => {
+        assert.equal(lines.filter((line) => line.includes('requestId=' + requestId + ' ')).length, 3);
+      });
+      done();
+    });
+  });
+
+  it('lets isTrace() decide for the next line', (done) => {
+
+    initLogger({
+      levels: {
+        trace: 0.5
+      }
+    });
+
+    const inst = logger.createLogger('mymodule');
+    const results = [];
+    for (let i = 0; i < 4; i++) {
+      results.push(inst.isTrace());
+      if (results[i]) {
+        inst.trace('line %d', i);
+      }
+    }
+    assert.deepEqual(results, [true, false, true, false]);
+
+    logger.end(() => {
+      assert.equal(fs.readFileSync(LOG_FILE, 'utf8'),
+        'trace: [mymodule] line 0\n' +
+        'trace: [mymodule] line 2\n');
+      done();
+    });
+  });
+
+  it('rejects invalid rates', () => {
+    assert.throws(() => initLogger({ levels: { trace: 2 } }), /Invalid sampling rate at levels.trace: 2/);
+  });
+});
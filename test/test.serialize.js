@@ -0,0 +1,186 @@
+/**
+ * @fileOverview Test safe serialization of log arguments
+ * @name test.serialize.js
+ * @author Matthijs Tempels <matthijs@townsville.nl>
+ * @license Copyright Townsville.nl
+ */
+
+"use strict";
+/* global BigInt */
+
+const assert = require('assert');
+const fs = require('fs');
+const logger = require('../lib/index');
+const serializer = require('../lib/serialize');
+
+
+// Log file to use
+const LOG_FILE = '/tmp/cs_logger_serialize.log';
+
+
+class Point {
+  constructor(x, y) {
+    this.x = x;
+    this.y = y;
+  }
+}
+
+
+describe('The serializer', () => {
+
+  afterEach(() => {
+    logger.deinit();
+    [LOG_FILE, LOG_FILE + '.json'].forEach((file) => {
+      if (fs.existsSync(file)) {
+        fs.unlinkSync(file);
+      }
+    });
+  });
+
+  it('handles special types', () => {
+
+    const shared = { s: 1 };
+    const value = {
+      big: BigInt('12345678901234567890'),
+      buf: Buffer.from('hello'),
+      map: new Map([['a', 1], [2, { b: shared }]]),
+      set: new Set([1, 'two']),
+      date: new Date(Date.UTC(2024, 0, 31)),
+      point: new Point(1, 2),
+      fn: function named() { },
+      undef: undefined,
+      shared: [shared, shared]
+    };
+
+    assert.deepEqual(serializer.serialize(value), {
+      big: '12345678901234567890',
+      buf: { type: 'Buffer', length: 5, hex: '68656c6c6f' },
+      map: { a: 1, 2: { b: { s: 1 } } },
+      set: [1, 'two'],
+      date: '2024-01-31T00:00:00.000Z',
+      point: { x: 1, y: 2 },
+      fn: '[Function: named]',
+      shared: [{ s: 1 }, { s: 1 }]
+    });
+  });
+
+  it('handles circular references', () => {
+
+    const value = { name: 'root', list: [] };
+    value.self = value;
+    value.list.push(value);
+
+    assert.deepEqual(serializer.serialize(value), {
+      name: 'root',
+      list: ['[Circular]'],
+      self: '[Circular]'
+    });
+  });
+
+  it('applies the limits', () => {
+
+    const options = serializer.getOptions({
+      maxDepth: 2,
+      maxArrayLength: 3,
+      maxStringLength: 5,
+      maxBufferLength: 2,
+      bufferEncoding: 'base64'
+    });
+    const value = {
+      deep: { deeper: { deepest: 1 } },
+      list: [1, 2, 3, 4, 5],
+      text: 'abcdefgh',
+      buf: Buffer.from([1, 2, 3])
+    };
+
+    assert.deepEqual(serializer.serialize(value, options), {
+      deep: { deeper: '[Object]' },
+      list: [1, 2, 3, '... 2 more items'],
+      text: 'abcde... (3 more characters)',
+      buf: { type: 'Buffer', length: 3, base64: 'AQI=', truncated: true }
+    });
+    assert.throws(() => serializer.getOptions({ bufferEncoding: 'utf8' }), /Unknown buffer encoding/);
+  });
+
+  it('handles throwing getters and toJSON', () => {
+
+    const value = {
+      id: 1,
+      get broken() {
+        throw new Error('no access');
+      },
+      nested: { toJSON: () => {
+        throw new Error('no json');
+      } }
+    };
+    assert.deepEqual(serializer.serialize(value), {
+      id: 1,
+      broken: '[Thrown: no access]',
+      nested: '[Thrown: no json]'
+    });
+  });
+
+  it('logs unsafe arguments without throwing', (done) => {
+
+    logger.deinit();
+    logger.init({
+      serialize: {
+        maxStringLength: 10
+      },
+      file: [{
+        path: LOG_FILE,
+        timestamp: false
+      }, {
+        path: LOG_FILE + '.json',
+        timestamp: false,
+        format: 'json'
+      }]
+    });
+
+    const value = { id: BigInt(1) };
+    value.self = value;
+    const inst = logger.createLogger('mymodule').child({ ctx: value });
+    inst.info('value %j', value, 'x'.repeat(20), value);
+
+    logger.end(() => {
+      assert.equal(fs.readFileSync(LOG_FILE, 'utf8'),
+        'info: ctx={"id":"1","self":"[Circular]"} value {"id":"1","self":"[Circular]"} ' +
+        'xxxxxxxxxx... (10 more characters) {"id":"1","self":"[Circular]"}\n');
+
+      const json = JSON.parse(fs.readFileSync(LOG_FILE + '.json', 'utf8'));
+      assert.equal(json.msg, 'value {"id":"1","self":"[Circular]"} xxxxxxxxxx... (10 more characters)');
+      assert.deepEqual(json.ctx, { id: '1', self: '[Circular]' });
+      assert.equal(json.id, '1');
+      done();
+    });
+  });
+
+  it('logs a throwing getter and limits the message', (done) => {
+
+    logger.deinit();
+    logger.init({
+      serialize: {
+        maxStringLength: 20
+      },
+      file: {
+        path: LOG_FILE,
+        timestamp: false
+      }
+    });
+
+    const inst = logger.createLogger('mymodule');
+    inst.info('x', {
+      get secret() {
+        throw new Error('denied');
+      }
+    });
+    inst.info('y'.repeat(30));
+
+    logger.end(() => {
+      assert.equal(fs.readFileSync(LOG_FILE, 'utf8'),
+        'info: x {"secret":"[Thrown: denied]"}\n' +
+        'info: ' + 'y'.repeat(20) + '... (10 more characters)\n');
+      done();
+    });
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * @fileOverview Test shutting down the logger
+ * @name test.shutdown.js
+ * @author Matthijs Tempels <matthijs@townsville.nl>
+ * @license Copyright Townsville.nl
+ */
+
+"use strict";
+
+const assert = require('assert');
+const fs = require('fs');
+const logger = require('../lib/index');
+
+
+// Log file to use
+const LOG_FILE = '/tmp/cs_logger_shutdown.log';
+
+
+describe('The shutdown', () => {
+
+  afterEach(() => {
+    logger.deinit();
+    if (fs.existsSync(LOG_FILE)) {
+      fs.unlinkSync(LOG_FILE);
+    }
+  });
+
+  it('flushes all transports and ignores later log calls', () => {
+
+    logger.deinit();
+    logger.init({
+      file: {
+        path: LOG_FILE,
+        timestamp: false
+      }
+    });
+
+    const inst = logger.createLogger('mymodule');
+    inst.info('before');
+    return logger.shutdown().then((result) => {
+      assert.deepEqual(result, [{ transport: 'file', status: 'flushed' }]);
+      assert.equal(fs.readFileSync(LOG_FILE, 'utf8'), 'info: before\n');
+
+      // Ignored, not thrown
+      inst.info('after');
+      assert.equal(inst.isInfo(), false);
+      return logger.shutdown().then((again) => assert.strictEqual(again, result));
+    });
+  });
+
+  it('rejects with the status per transport on a timeout', () => {
+
+    logger.deinit();
+    logger.init({
+      file: {
+        path: LOG_FILE,
+        timestamp: false
+      },
+      // Nothing listens here, messages stay queued
+      syslog: {
+        host: '127.0.0.1',
+        port: 1,
+        protocol: 'tcp4'
+      }
+    });
+
+    logger.createLogger('mymodule').info('queued');
+    return assert.rejects(logger.shutdown({ timeoutMs: 100 }), (err) => {
+      assert.equal(err.message, 'Log shutdown incomplete: syslog timeout');
+      assert.deepEqual(err.transports, [
+        { transport: 'file', status: 'flushed' },
+        { transport: 'syslog', status: 'timeout' }
+      ]);
+      return true;
+    });
+  });
+
+  it('shuts down on a signal', (done) => {
+
+    logger.deinit();
+    logger.init({
+      file: {
+        path: LOG_FILE,
+        timestamp: false
+      },
+      shutdown: {
+        signals: ['SIGUSR2'],
+        beforeExit: false
+      }
+    });
+
+    // With a handler of its own the signal is not raised again
+    const appHandler = () => {
+      process.removeListener('SIGUSR2', appHandler);
+      logger.shutdown().then(() => setImmediate(() => {
+        assert.equal(process.listenerCount('SIGUSR2'), 0);
+        assert.equal(fs.readFileSync(LOG_FILE, 'utf8'), 'info: last words\n');
+        done();
+      }));
+    };
+    process.on('SIGUSR2', appHandler);
+
+    logger.createLogger('mymodule').info('last words');
+    process.kill(process.pid, 'SIGUSR2');
+  });
+});
@@ -0,0 +1,180 @@
+/**
+ * @fileOverview Test syslog transport
+ * @name test.syslog.js
+ * @author Matthijs Tempels <matthijs@townsville.nl>
+ * @license Copyright Townsville.nl
+ */
+
+"use strict";
+
+const assert = require('assert');
+const dgram = require('dgram');
+const fs = require('fs');
+const logger = require('../lib/index');
+const net = require('net');
+const { SyslogTransport } = require('../lib/syslog');
+const LEVEL = Symbol.for('level');
+const MESSAGE = Symbol.for('message');
+
+
+// Unix socket to use
+const SOCKET_PATH = '/tmp/cs_logger_test.sock';
+
+
+/**
+ * Helper to collect newline separated lines from a stream server
+ * @param {Array} lines Array to add received lines to
+ * @returns {Object} Net server
+ */
+function createStreamServer(lines) {
+  const server = net.createServer((socket) => {
+    let buf = '';
+    socket.on('data', (data) => {
+      buf += data.toString();
+      const parts = buf.split('\n');
+      buf = parts.pop();
+      parts.forEach((line) => lines.push(line));
+    });
+  });
+  return server;
+}
+
+
+describe('The syslog transport', () => {
+
+  afterEach(() => {
+    if (fs.existsSync(SOCKET_PATH)) {
+      fs.unlinkSync(SOCKET_PATH);
+    }
+  });
+
+  it('rejects unknown settings', () => {
+    assert.throws(() => new SyslogTransport({ protocol: 'udp6' }), /Unknown syslog protocol/);
+    assert.throws(() => new SyslogTransport({ facility: 'local9' }), /Unknown syslog facility/);
+    assert.throws(() => new SyslogTransport({ type: 'RFC1234' }), /Unknown syslog type/);
+  });
+
+  it('sends BSD messages over udp', (done) => {
+
+    const server = dgram.createSocket('udp4');
+    const messages = [];
+
+    server.on('message', (msg) => {
+      messages.push(msg.toString());
+      if (messages.length < 2) {
+        return;
+      }
+      assert(/^<130>\w{3} [ \d]\d \d{2}:\d{2}:\d{2} myhost mylog\[\d+\]: \[mymodule\] fatal 1$/.test(messages[0]),
+        'unexpected message: ' + messages[0]);
+      assert(/^<135>.* mylog\[\d+\]: \[mymodule\] trace$/.test(messages[1]),
+        'unexpected message: ' + messages[1]);
+      logger.end(() => server.close(done));
+    });
+
+    server.bind(0, '127.0.0.1', () => {
+      logger.deinit();
+      logger.init({
+        name: 'mylog',
+        showName: true,
+        level: 'trace',
+        syslog: {
+          host: '127.0.0.1',
+          port: server.address().port,
+          localhost: 'myhost',
+          type: 'BSD'
+        }
+      });
+
+      const inst = logger.createLogger('mymodule');
+      inst.fatal('fatal %d', 1);
+      inst.trace('trace');
+    });
+  });
+
+  it('sends RFC5424 messages over tcp and reconnects', (done) => {
+
+    const lines = [];
+    let sockets = [];
+    const server = createStreamServer(lines);
+    server.on('connection', (socket) => sockets.push(socket));
+
+    server.listen(0, '127.0.0.1', () => {
+      logger.deinit();
+      logger.init({
+        name: 'mylog',
+        showName: true,
+        level: 'info',
+        syslog: {
+          host: '127.0.0.1',
+          port: server.address().port,
+          protocol: 'tcp4',
+          facility: 'user',
+          localhost: 'myhost'
+        }
+      });
+
+      const inst = logger.createLogger('mymodule');
+      inst.warn('first');
+
+      setTimeout(() => {
+        // Drop the connection
+        sockets.forEach((socket) => socket.destroy());
+        sockets = [];
+
+        setTimeout(() => {
+          inst.error('second');
+
+          setTimeout(() => {
+            assert.equal(lines.length, 2);
+            assert(/^<12>1 \d{4}-\d{2}-\d{2}T[\d:.]+Z myhost mylog \d+ - - \[mymodule\] first$/.test(lines[0]),
+              'unexpected message: ' + lines[0]);
+            assert(/^<11>1 .* \[mymodule\] second$/.test(lines[1]),
+              'unexpected message: ' + lines[1]);
+            logger.end(() => server.close(done));
+          }, 300);
+        }, 100);
+      }, 100);
+    });
+  });
+
+  it('sends messages over a unix socket', (done) => {
+
+    const lines = [];
+    const server = createStreamServer(lines);
+
+    server.listen(SOCKET_PATH, () => {
+      logger.deinit();
+      logger.init({
+        name: 'mylog',
+        showName: false,
+        syslog: {
+          protocol: 'unix-connect',
+          path: SOCKET_PATH
+        }
+      });
+
+      const inst = logger.createLogger('mymodule');
+      inst.info('hello %s', 'unix');
+
+      logger.end(() => {
+        setTimeout(() => {
+          assert.equal(lines.length, 1);
+          assert(/^<134>1 .* hello unix$/.test(lines[0]), 'unexpected message: ' + lines[0]);
+          server.close(done);
+        }, 50);
+      });
+    });
+  });
+
+  it('reports repeated connect failures and can be destroyed', (done) => {
+
+    // Nothing listens here (a datagram socket like /dev/log fails the same way)
+    const transport = new SyslogTransport({ protocol: 'unix', path: SOCKET_PATH });
+    transport.on('error', (err) => {
+      assert.equal(err.code, 'ENOENT');
+      transport.on('close', done);
+      transport.destroy();
+    });
+    transport.log({ level: 'info', [LEVEL]: 'info', [MESSAGE]: 'lost' }, () => undefined);
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * @fileOverview Test timers and duration logging
+ * @name test.timer.js
+ * @author Matthijs Tempels <matthijs@townsville.nl>
+ * @license Copyright Townsville.nl
+ */
+
+"use strict";
+
+const assert = require('assert');
+const fs = require('fs');
+const logger = require('../lib/index');
+
+
+// Log file to use
+const LOG_FILE = '/tmp/cs_logger_timer.log';
+
+
+describe('The timers', () => {
+
+  const bigint = process.hrtime.bigint;
+  let hrtimeCalls;
+
+  beforeEach(() => {
+    logger.deinit();
+    hrtimeCalls = 0;
+    process.hrtime.bigint = () => {
+      hrtimeCalls++;
+      return bigint();
+    };
+  });
+
+  afterEach(() => {
+    process.hrtime.bigint = bigint;
+    logger.deinit();
+    if (fs.existsSync(LOG_FILE)) {
+      fs.unlinkSync(LOG_FILE);
+    }
+  });
+
+  it('log the duration at the given level with fields', (done) => {
+
+    logger.init({
+      level: 'debug',
+      file: {
+        path: LOG_FILE,
+        format: 'json',
+        timestamp: false
+      }
+    });
+    const inst = logger.createLogger('db');
+
+    const timer = inst.startTimer('db query');
+    const debugTimer = inst.startTimer('db query', 'debug');
+    const traceTimer = inst.startTimer('db query', 'trace');
+    setTimeout(() => {
+      timer.done();
+      debugTimer.done({ rows: 3 });
+      traceTimer.done();
+
+      logger.end(() => {
+        const lines = fs.readFileSync(LOG_FILE, 'utf8').trim().split('\n').map((line) => JSON.parse(line));
+        assert.equal(lines.length, 2);
+        assert.equal(lines[0].level, 'info');
+        assert.equal(lines[0].msg, 'db query');
+        assert.ok(lines[0].durationMs >= 15, 'unexpected duration: ' + lines[0].durationMs);
+        assert.equal(lines[1].level, 'debug');
+        assert.equal(lines[1].rows, 3);
+        assert.ok(lines[1].durationMs >= 15, 'unexpected duration: ' + lines[1].durationMs);
+        done();
+      });
+    }, 20);
+  });
+
+  it('time a function', () => {
+
+    const cap = logger.capture();
+    const inst = logger.createLogger('jobs');
+
+    return inst.time('job', () => new Promise((resolve) => setTimeout(() => resolve(42), 10))).then((result) => {
+      assert.equal(result, 42);
+      return assert.rejects(inst.time('broken', () => {
+        throw new Error('broken job');
+      }), /broken job/);
+    }).then(() => {
+      const job = cap.expectLogged({ level: 'info', module: 'jobs', match: /^job / });
+      assert.ok(job.args[1].durationMs >= 5, 'unexpected duration: ' + job.args[1].durationMs);
+      const broken = cap.expectLogged({ match: /^broken / });
+      assert.equal(broken.args[1].failed, true);
+      cap.restore();
+    });
+  });
+
+  it('measure nothing when the level is not logged', () => {
+
+    logger.init({
+      level: 'info',
+      levels: { db: 'warn' },
+      file: {
+        path: LOG_FILE
+      }
+    });
+    // Not below the configured levels
+    const cap = logger.capture({ level: 'warn' });
+    const inst = logger.createLogger('db');
+
+    return inst.time('job', () => 42).then((result) => {
+      assert.equal(result, 42);
+      assert.equal(hrtimeCalls, 0);
+
+      inst.startTimer('db query').done();
+      inst.startTimer('db query', 'debug').done();
+      assert.equal(hrtimeCalls, 0);
+      const timer = inst.startTimer('db query', 'warn');
+      assert.equal(hrtimeCalls, 1);
+      timer.done();
+      assert.equal(hrtimeCalls, 2);
+
+      assert.equal(cap.records.length, 1);
+      cap.expectLogged({ level: 'warn', match: /^db query / });
+      cap.restore();
+      // The file is written (after it was removed) otherwise
+      return new Promise((resolve) => logger.end(resolve));
+    });
+  });
+});
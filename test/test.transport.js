@@ -0,0 +1,108 @@
+/**
+ * @fileOverview Test registered custom transports
+ * @name test.transport.js
+ * @author Matthijs Tempels <matthijs@townsville.nl>
+ * @license Copyright Townsville.nl
+ */
+
+"use strict";
+
+const assert = require('assert');
+const logger = require('../lib/index');
+const { Transport } = require('winston');
+const MESSAGE = Symbol.for('message');
+
+
+// Created transports
+let created = [];
+
+
+class QueueTransport extends Transport {
+
+  constructor(settings, opts) {
+    super(opts);
+    this.name = 'queue';
+    this.topic = settings.topic;
+    this.lines = [];
+    this.flushed = false;
+    created.push(this);
+  }
+
+  log(info, callback) {
+    this.lines.push(info[MESSAGE]);
+    callback();
+  }
+
+  _final(callback) {
+    setTimeout(() => {
+      this.flushed = true;
+      callback();
+    }, 20);
+  }
+}
+
+
+describe('A registered transport', () => {
+
+  before(() => {
+    logger.registerTransport('queue', (settings, opts) => new QueueTransport(settings, opts));
+  });
+
+  beforeEach(() => {
+    created = [];
+  });
+
+  afterEach(() => {
+    logger.deinit();
+  });
+
+  it('gets levels, formats and filters like the built-in transports', () => {
+
+    logger.deinit();
+    logger.init({
+      level: 'info',
+      showName: true,
+      levels: {
+        db: 'debug'
+      },
+      queue: [{
+        topic: 'all',
+        timestamp: false
+      }, {
+        topic: 'errors',
+        level: 'error',
+        format: 'json',
+        modules: {
+          exclude: ['http']
+        }
+      }]
+    });
+
+    const db = logger.createLogger('db');
+    const http = logger.createLogger('http');
+    db.debug('query');
+    db.error('failed');
+    http.debug('hidden');
+    http.error('bad request');
+
+    const [all, errors] = created;
+    assert.equal(all.topic, 'all');
+    assert.deepEqual(all.lines, ['debug: [db] query', 'error: [db] failed', 'error: [http] bad request']);
+    assert.equal(errors.lines.length, 1);
+    assert.equal(JSON.parse(errors.lines[0]).msg, 'failed');
+
+    return logger.shutdown().then((result) => {
+      assert.deepEqual(result.map((entry) => entry.status), ['flushed', 'flushed']);
+      assert.ok(all.flushed && errors.flushed);
+    });
+  });
+
+  it('rejects invalid registrations and transports', () => {
+
+    assert.throws(() => logger.registerTransport('file', () => undefined), /Reserved transport name: file/);
+    assert.throws(() => logger.registerTransport('other', {}), /Transport factory is not a function: other/);
+
+    logger.registerTransport('broken', () => ({}));
+    assert.throws(() => logger.init({ broken: {} }), /Transport factory did not return a transport: broken/);
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * @fileOverview Test settings validation
+ * @name test.validate.js
+ * @author Matthijs Tempels <matthijs@townsville.nl>
+ * @license Copyright Townsville.nl
+ */
+
+"use strict";
+
+const assert = require('assert');
+const logger = require('../lib/index');
+const { validateSettings } = require('../lib/validate');
+
+
+// Built-in level names
+const LEVELS = ['fatal', 'error', 'warn', 'info', 'debug', 'trace'];
+
+
+describe('The settings validation', () => {
+
+  const warn = console.warn;
+  let warnings;
+
+  beforeEach(() => {
+    logger.deinit();
+    warnings = [];
+    console.warn = (message) => warnings.push(message);
+  });
+
+  afterEach(() => {
+    console.warn = warn;
+    logger.deinit();
+  });
+
+  it('lists every problem with its path', () => {
+
+    const problems = validateSettings({
+      level: 'degub',
+      levels: { db: 'degub', http: 5 },
+      sysog: { host: 'localhost' },
+      file: [{ path: '/tmp/cs_logger_validate.log' }, { rollingFile: { maxsize: 100 } }],
+      syslog: { protocol: 'udp6', facility: 'local0' },
+      sampling: { levels: { degub: 0.1, trace: 2 } },
+      shutdown: 'yes'
+    }, { levels: LEVELS });
+
+    assert.deepEqual(problems, [
+      'logSettings.level: unknown level "degub"',
+      'logSettings.levels.db: unknown level "degub"',
+      'logSettings.levels.http: expected a level name, got 5',
+      'logSettings.sysog: unknown setting',
+      'logSettings.file[1].rollingFile.maxsize: unknown setting',
+      'logSettings.syslog.protocol: expected one of udp4, tcp4, unix, unix-connect, got "udp6"',
+      'logSettings.sampling.levels.degub: unknown level "degub"',
+      'logSettings.sampling.levels.trace: expected a number between 0 and 1, got 2',
+      'logSettings.shutdown: expected true or false or an object, got "yes"'
+    ]);
+  });
+
+  it('accepts valid settings, custom levels and registered transports', () => {
+
+    const problems = validateSettings({
+      name: 'app',
+      showName: 'full',
+      showPid: 'true',
+      level: 'notice',
+      levels: { db: 'Trace' },
+      customLevels: { notice: { value: 25, color: 'cyan', severity: 'notice' } },
+      console: { timestamp: () => 'now', colorize: true },
+      file: { path: '/tmp/cs_logger_validate.log', modules: { exclude: 'db' }, buffer: true },
+      memory: { level: 'notice', dumpOnError: { level: 'error' } },
+      handleExceptions: { exitCode: 2 },
+      collector: { anything: 'goes' }
+    }, { levels: LEVELS, transports: ['collector'] });
+
+    assert.deepEqual(problems, []);
+  });
+
+  it('throws in strict mode', () => {
+
+    assert.throws(() => logger.init({
+      validate: 'strict',
+      level: 'degub',
+      console: { colour: true }
+    }), (err) => {
+      assert.equal(err.message, 'Invalid log settings:\n' +
+        '  logSettings.level: unknown level "degub"\n' +
+        '  logSettings.console.colour: unknown setting');
+      assert.equal(err.problems.length, 2);
+      return true;
+    });
+    assert.throws(() => logger.createLogger('mymodule').info('not initialized'));
+    assert.deepEqual(warnings, []);
+  });
+
+  it('warns in lenient mode and can be turned off', () => {
+
+    logger.init({ levels: { db: 'degub' } });
+    assert.deepEqual(warnings, ['Invalid log settings:\n  logSettings.levels.db: unknown level "degub"']);
+    // Unknown levels still fall back to trace
+    assert.equal(logger.createLogger('db').isTrace(), true);
+
+    logger.reconfigure({ validate: 'off', level: 7 });
+    assert.equal(warnings.length, 1);
+  });
+});